@@ -9,6 +9,7 @@ import ProtectedRoute from './auth/ProtectedRoute';
 import Login from './pages/Login';
 import Trading from './pages/Trading';
 import Admin from './pages/Admin';
+import StrategyBuilder from './pages/StrategyBuilder';
 
 // Create theme
 const theme = createTheme({
@@ -69,6 +70,10 @@ const Navigation = () => {
           <Button color="inherit" href="/trade">
             Trading
           </Button>
+
+          <Button color="inherit" href="/strategies">
+            Strategies
+          </Button>
           
           <Button color="inherit" onClick={handleSignOut}>
             Sign Out
@@ -157,6 +162,14 @@ const AppContent = () => {
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/strategies" 
+          element={
+            <ProtectedRoute roles={['admin', 'trader']}>
+              <StrategyBuilder />
+            </ProtectedRoute>
+          } 
+        />
         <Route 
           path="/admin" 
           element={
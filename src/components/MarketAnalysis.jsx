@@ -98,19 +98,19 @@ const MarketAnalysis = ({ analysis }) => {
           <div className="grid grid-cols-2 gap-2 text-sm">
             <div className="flex justify-between">
               <span className="text-gray-600">R2:</span>
-              <span className="font-medium text-red-600">{technicalOverview.resistance2}</span>
+              <span className="font-medium text-red-600">{technicalOverview.resistance2 ?? 'N/A'}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">S2:</span>
-              <span className="font-medium text-green-600">{technicalOverview.support2}</span>
+              <span className="font-medium text-green-600">{technicalOverview.support2 ?? 'N/A'}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">R1:</span>
-              <span className="font-medium text-red-600">{technicalOverview.resistance1}</span>
+              <span className="font-medium text-red-600">{technicalOverview.resistance1 ?? 'N/A'}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">S1:</span>
-              <span className="font-medium text-green-600">{technicalOverview.support1}</span>
+              <span className="font-medium text-green-600">{technicalOverview.support1 ?? 'N/A'}</span>
             </div>
           </div>
           
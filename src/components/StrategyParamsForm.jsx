@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+  Grid,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  FormHelperText,
+  InputLabel,
+  Switch
+} from '@mui/material';
+
+// Object parameters are edited as JSON; the text is kept locally until it parses
+const JsonField = ({ name, spec, value, error, onChange }) => {
+  const [text, setText] = useState(JSON.stringify(value ?? spec.default ?? {}));
+  const [parseError, setParseError] = useState('');
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    try {
+      onChange(JSON.parse(e.target.value));
+      setParseError('');
+    } catch {
+      setParseError('Not valid JSON');
+    }
+  };
+
+  return (
+    <TextField
+      fullWidth
+      size="small"
+      label={name}
+      value={text}
+      onChange={handleChange}
+      error={Boolean(parseError || error)}
+      helperText={parseError || error || spec.description}
+    />
+  );
+};
+
+// Renders one input per schema entry (see StrategyParams.js). `params` holds
+// only what the user set; clearing a field removes it so the default applies.
+const StrategyParamsForm = ({ schema, params, errors = [], onChange, exclude = [] }) => {
+  const errorFor = (name) => {
+    const error = errors.find(entry => entry.param === name);
+    return error ? error.message : '';
+  };
+
+  const setValue = (name, value) => {
+    const next = { ...params };
+    if (value === undefined) {
+      delete next[name];
+    } else {
+      next[name] = value;
+    }
+    onChange(next);
+  };
+
+  return (
+    <Grid container spacing={2}>
+      {Object.entries(schema)
+        .filter(([name]) => !exclude.includes(name))
+        .map(([name, spec]) => {
+          const error = errorFor(name);
+          const value = params[name];
+
+          if (spec.type === 'integer' || spec.type === 'number') {
+            return (
+              <Grid item xs={12} sm={6} md={4} key={name}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label={name}
+                  value={value ?? ''}
+                  placeholder={spec.default !== undefined ? String(spec.default) : ''}
+                  onChange={(e) => setValue(name, e.target.value === '' ? undefined : Number(e.target.value))}
+                  inputProps={{ min: spec.min, max: spec.max, step: spec.type === 'integer' ? 1 : 'any' }}
+                  error={Boolean(error)}
+                  helperText={error || spec.description}
+                />
+              </Grid>
+            );
+          }
+
+          if (spec.type === 'boolean') {
+            return (
+              <Grid item xs={12} sm={6} md={4} key={name}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={value ?? spec.default ?? false}
+                      onChange={(e) => setValue(name, e.target.checked)}
+                    />
+                  }
+                  label={name}
+                />
+                <FormHelperText error={Boolean(error)}>{error || spec.description}</FormHelperText>
+              </Grid>
+            );
+          }
+
+          if (spec.type === 'string' && spec.options) {
+            return (
+              <Grid item xs={12} sm={6} md={4} key={name}>
+                <FormControl fullWidth size="small" error={Boolean(error)}>
+                  <InputLabel>{name}</InputLabel>
+                  <Select
+                    value={value ?? spec.default ?? ''}
+                    label={name}
+                    onChange={(e) => setValue(name, e.target.value === '' ? null : e.target.value)}
+                  >
+                    {spec.nullable && <MenuItem value=""><em>None</em></MenuItem>}
+                    {spec.options.map(option => (
+                      <MenuItem key={option} value={option}>{option}</MenuItem>
+                    ))}
+                  </Select>
+                  <FormHelperText>{error || spec.description}</FormHelperText>
+                </FormControl>
+              </Grid>
+            );
+          }
+
+          if (spec.type === 'object') {
+            return (
+              <Grid item xs={12} sm={6} md={4} key={name}>
+                <JsonField
+                  name={name}
+                  spec={spec}
+                  value={value}
+                  error={error}
+                  onChange={(parsed) => setValue(name, parsed)}
+                />
+              </Grid>
+            );
+          }
+
+          return (
+            <Grid item xs={12} sm={6} md={4} key={name}>
+              <TextField
+                fullWidth
+                size="small"
+                label={name}
+                value={value ?? ''}
+                placeholder={spec.default ?? ''}
+                onChange={(e) => setValue(name, e.target.value === '' ? undefined : e.target.value)}
+                error={Boolean(error)}
+                helperText={error || spec.description}
+              />
+            </Grid>
+          );
+        })}
+    </Grid>
+  );
+};
+
+export default StrategyParamsForm;
@@ -1,12 +1,19 @@
-import { supabase } from '../lib/supabaseClient.js';
+import { realClock } from '../engine/Clock.js';
+import { persistenceQueue } from './persistenceQueue.js';
 
 // Base Broker Interface
 export class Broker {
-  constructor() {
+  constructor(options = {}) {
+    const { clock = realClock } = options;
+    this.clock = clock;
     this.connected = false;
     this.executionHandlers = [];
   }
 
+  setClock(clock) {
+    this.clock = clock;
+  }
+
   async connect(credentials) {
     throw new Error('connect method must be implemented');
   }
@@ -16,7 +23,7 @@ export class Broker {
   }
 
   async getServerTime() {
-    return new Date();
+    return this.clock.date();
   }
 
   async placeOrder({ symbol, side, qty, type = 'market', limitPrice = null, tif = 'GTC' }) {
@@ -46,8 +53,10 @@ export class Broker {
 
 // PocketOption Broker Implementation (Simulated)
 export class PocketOptionBroker extends Broker {
-  constructor() {
-    super();
+  constructor(options = {}) {
+    super(options);
+    const { persistence = persistenceQueue } = options;
+    this.persistence = persistence;
     this.positions = new Map();
     this.orderIdCounter = 1;
     this.latency = { min: 10, max: 50 }; // Simulated latency in ms
@@ -65,7 +74,7 @@ export class PocketOptionBroker extends Broker {
   async getServerTime() {
     // Simulate network latency
     await this.delay(this.getRandomLatency());
-    return new Date();
+    return this.clock.date();
   }
 
   async placeOrder({ symbol, side, qty, type = 'market', limitPrice = null, tif = 'GTC' }) {
@@ -73,49 +82,41 @@ export class PocketOptionBroker extends Broker {
       throw new Error('Broker not connected');
     }
 
-    const orderId = this.orderIdCounter++;
-    const submitTime = new Date();
+    const submitTime = this.clock.date();
+    const order = {
+      symbol,
+      ts_submit: submitTime.toISOString(),
+      side,
+      qty,
+      price_limit: limitPrice,
+      status: 'submitted',
+      meta: { type, tif, broker: 'PocketOption' }
+    };
 
-    // Store order in database
-    const { data: orderData, error: orderError } = await supabase
-      .from('orders')
-      .insert({
-        symbol,
-        ts_submit: submitTime.toISOString(),
-        side,
-        qty,
-        price_limit: limitPrice,
-        status: 'submitted',
-        meta: { type, tif, broker: 'PocketOption' }
-      })
-      .select()
-      .single();
-
-    if (orderError) throw orderError;
+    // Orders and trades are identified by their client id; the database rows
+    // are written by the persistence queue
+    const orderId = this.persistence.insert('orders', order);
 
     // Simulate order processing
-    setTimeout(async () => {
-      await this.processOrder(orderData, submitTime);
+    this.clock.setTimeout(() => {
+      this.processOrder({ ...order, id: orderId }, submitTime);
     }, this.getRandomLatency());
 
     return {
-      orderId: orderData.id,
+      orderId,
       status: 'submitted',
       submitTime
     };
   }
 
-  async processOrder(orderData, submitTime) {
-    const ackTime = new Date();
+  processOrder(orderData, submitTime) {
+    const ackTime = this.clock.date();
     
     // Update order status to acknowledged
-    await supabase
-      .from('orders')
-      .update({ 
-        status: 'ack', 
-        ts_ack: ackTime.toISOString() 
-      })
-      .eq('id', orderData.id);
+    this.persistence.update('orders', orderData.id, {
+      status: 'ack',
+      ts_ack: ackTime.toISOString()
+    });
 
     this.notifyExecution({
       type: 'ack',
@@ -124,13 +125,13 @@ export class PocketOptionBroker extends Broker {
     });
 
     // Simulate fill after additional delay
-    setTimeout(async () => {
-      await this.fillOrder(orderData, ackTime);
+    this.clock.setTimeout(() => {
+      this.fillOrder(orderData, ackTime);
     }, this.getRandomLatency());
   }
 
-  async fillOrder(orderData, ackTime) {
-    const fillTime = new Date();
+  fillOrder(orderData, ackTime) {
+    const fillTime = this.clock.date();
     
     // Simulate realistic fill price with slippage
     const basePrice = this.getCurrentPrice(orderData.symbol);
@@ -138,36 +139,27 @@ export class PocketOptionBroker extends Broker {
     const fillPrice = basePrice + slippage;
 
     // Update order status to filled
-    await supabase
-      .from('orders')
-      .update({ status: 'filled' })
-      .eq('id', orderData.id);
+    this.persistence.update('orders', orderData.id, { status: 'filled' });
 
     // Create trade record
-    const { data: tradeData, error: tradeError } = await supabase
-      .from('trades')
-      .insert({
-        order_id: orderData.id,
-        symbol: orderData.symbol,
-        ts_fill: fillTime.toISOString(),
-        price: fillPrice,
-        qty: orderData.qty
-      })
-      .select()
-      .single();
-
-    if (!tradeError) {
-      this.notifyExecution({
-        type: 'fill',
-        orderId: orderData.id,
-        tradeId: tradeData.id,
-        symbol: orderData.symbol,
-        side: orderData.side,
-        qty: orderData.qty,
-        price: fillPrice,
-        timestamp: fillTime
-      });
-    }
+    const tradeId = this.persistence.insert('trades', {
+      order_id: this.persistence.ref('orders', orderData.id),
+      symbol: orderData.symbol,
+      ts_fill: fillTime.toISOString(),
+      price: fillPrice,
+      qty: orderData.qty
+    });
+
+    this.notifyExecution({
+      type: 'fill',
+      orderId: orderData.id,
+      tradeId,
+      symbol: orderData.symbol,
+      side: orderData.side,
+      qty: orderData.qty,
+      price: fillPrice,
+      timestamp: fillTime
+    });
   }
 
   getCurrentPrice(symbol) {
@@ -196,7 +188,7 @@ export class PocketOptionBroker extends Broker {
   }
 
   delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => this.clock.setTimeout(resolve, ms));
   }
 
   async getPositions() {
@@ -218,8 +210,8 @@ export class PocketOptionBroker extends Broker {
 
 // Mock Broker for Testing
 export class MockBroker extends Broker {
-  constructor() {
-    super();
+  constructor(options = {}) {
+    super(options);
     this.orders = [];
     this.trades = [];
     this.orderIdCounter = 1;
@@ -235,15 +227,15 @@ export class MockBroker extends Broker {
       id: this.orderIdCounter++,
       ...orderParams,
       status: 'filled',
-      submitTime: new Date(),
-      fillTime: new Date(),
+      submitTime: this.clock.date(),
+      fillTime: this.clock.date(),
       fillPrice: this.getCurrentPrice(orderParams.symbol)
     };
 
     this.orders.push(order);
     
     // Immediately notify of fill (for testing)
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       this.notifyExecution({
         type: 'fill',
         orderId: order.id,
@@ -265,6 +257,477 @@ export class MockBroker extends Broker {
   }
 }
 
+// Simulated Broker for backtesting: fills against replayed prices, never touches the database
+export class SimulatedBroker extends Broker {
+  constructor(options = {}) {
+    super(options);
+    const {
+      initialCapital = 10000,
+      commission = 0,   // fraction of notional charged per fill
+      slippage = 0,     // absolute price offset against the order side
+      fillOnNextTick = true
+    } = options;
+
+    this.initialCapital = initialCapital;
+    this.commission = commission;
+    this.slippage = slippage;
+    this.fillOnNextTick = fillOnNextTick;
+    this.reset();
+  }
+
+  reset() {
+    this.cash = this.initialCapital;
+    this.positions = new Map();
+    this.prices = new Map();
+    this.pendingOrders = [];
+    this.orders = [];
+    this.fills = [];
+    this.closedTrades = [];
+    this.orderIdCounter = 1;
+    this.currentTime = null;
+  }
+
+  async connect() {
+    this.connected = true;
+    return { success: true };
+  }
+
+  async getServerTime() {
+    return this.currentTime ? new Date(this.currentTime) : this.clock.date();
+  }
+
+  async placeOrder({ symbol, side, qty, type = 'market', limitPrice = null, tif = 'GTC', meta = {} }) {
+    if (!this.connected) {
+      throw new Error('Broker not connected');
+    }
+
+    const order = {
+      id: this.orderIdCounter++,
+      symbol,
+      side,
+      qty,
+      type,
+      limitPrice,
+      tif,
+      meta,
+      status: 'submitted',
+      submitTime: this.currentTime
+    };
+
+    this.orders.push(order);
+    this.pendingOrders.push(order);
+
+    // Same-tick fills introduce look-ahead; only allowed when explicitly requested
+    if (!this.fillOnNextTick && this.prices.has(symbol)) {
+      this.processPendingOrders(symbol);
+    }
+
+    return { orderId: order.id, status: order.status, submitTime: order.submitTime };
+  }
+
+  // Advance the simulated market and fill whatever became executable
+  setMarketPrice(symbol, price, ts) {
+    this.prices.set(symbol, price);
+    this.currentTime = ts;
+    this.processPendingOrders(symbol);
+  }
+
+  processPendingOrders(symbol) {
+    const price = this.prices.get(symbol);
+    const remaining = [];
+
+    for (const order of this.pendingOrders) {
+      if (order.symbol !== symbol) {
+        remaining.push(order);
+        continue;
+      }
+
+      if (order.type === 'limit') {
+        const marketable = order.side === 'buy' ? price <= order.limitPrice : price >= order.limitPrice;
+        if (!marketable) {
+          if (order.tif === 'IOC') {
+            order.status = 'cancelled';
+          } else {
+            remaining.push(order);
+          }
+          continue;
+        }
+      }
+
+      this.fillOrder(order, price);
+    }
+
+    this.pendingOrders = remaining;
+  }
+
+  fillOrder(order, marketPrice) {
+    const direction = order.side === 'buy' ? 1 : -1;
+    const fillPrice = order.type === 'limit'
+      ? order.limitPrice
+      : marketPrice + this.slippage * direction;
+    const fee = Math.abs(order.qty * fillPrice) * this.commission;
+
+    this.cash -= direction * order.qty * fillPrice + fee;
+    this.applyToPosition(order, direction * order.qty, fillPrice, fee);
+
+    order.status = 'filled';
+    order.fillPrice = fillPrice;
+    order.fillTime = this.currentTime;
+
+    const fill = {
+      type: 'fill',
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      price: fillPrice,
+      fee,
+      timestamp: this.currentTime,
+      meta: order.meta
+    };
+
+    this.fills.push(fill);
+    this.notifyExecution(fill);
+  }
+
+  applyToPosition(order, signedQty, price, fee) {
+    const position = this.positions.get(order.symbol) || {
+      symbol: order.symbol,
+      qty: 0,
+      avgPrice: 0,
+      entryTime: null,
+      fees: 0,
+      meta: null
+    };
+
+    const sameDirection = position.qty === 0 || Math.sign(position.qty) === Math.sign(signedQty);
+
+    if (sameDirection) {
+      const newQty = position.qty + signedQty;
+      position.avgPrice = (position.avgPrice * Math.abs(position.qty) + price * Math.abs(signedQty)) / Math.abs(newQty);
+      if (position.qty === 0) {
+        position.entryTime = this.currentTime;
+        position.meta = order.meta;
+      }
+      position.qty = newQty;
+      position.fees += fee;
+    } else {
+      const closingQty = Math.min(Math.abs(signedQty), Math.abs(position.qty));
+      const openingQty = Math.abs(signedQty) - closingQty;
+      const closingFee = fee * (closingQty / Math.abs(signedQty));
+      const positionDirection = Math.sign(position.qty);
+      const entryFees = position.fees * (closingQty / Math.abs(position.qty));
+      const grossPnL = (price - position.avgPrice) * closingQty * positionDirection;
+
+      this.closedTrades.push({
+        symbol: order.symbol,
+        side: positionDirection > 0 ? 'long' : 'short',
+        qty: closingQty,
+        entryPrice: position.avgPrice,
+        exitPrice: price,
+        entryTime: position.entryTime,
+        exitTime: this.currentTime,
+        fees: entryFees + closingFee,
+        pnl: grossPnL - entryFees - closingFee,
+        entryMeta: position.meta,
+        exitMeta: order.meta
+      });
+
+      position.fees -= entryFees;
+      position.qty += positionDirection * -closingQty;
+
+      if (openingQty > 0) {
+        // Position flipped: the remainder opens a fresh position at the fill price
+        position.qty = Math.sign(signedQty) * openingQty;
+        position.avgPrice = price;
+        position.entryTime = this.currentTime;
+        position.fees = fee - closingFee;
+        position.meta = order.meta;
+      } else if (position.qty === 0) {
+        position.avgPrice = 0;
+        position.entryTime = null;
+        position.fees = 0;
+        position.meta = null;
+      }
+    }
+
+    this.positions.set(order.symbol, position);
+  }
+
+  getPosition(symbol) {
+    const position = this.positions.get(symbol);
+    return position ? position.qty : 0;
+  }
+
+  getEquity() {
+    let equity = this.cash;
+    this.positions.forEach(position => {
+      const price = this.prices.get(position.symbol) ?? position.avgPrice;
+      equity += position.qty * price;
+    });
+    return equity;
+  }
+
+  async getPositions() {
+    return Array.from(this.positions.values()).filter(position => position.qty !== 0);
+  }
+
+  async getAccountInfo() {
+    const equity = this.getEquity();
+    return {
+      balance: this.cash,
+      equity,
+      margin: 0,
+      freeMargin: equity,
+      marginLevel: 0,
+      currency: 'USD'
+    };
+  }
+}
+
+// Fixed-expiry call/put durations offered by Pocket Option
+export const EXPIRY_MS = {
+  '5s': 5000,
+  '15s': 15000,
+  '30s': 30000,
+  '1m': 60000,
+  '2m': 120000,
+  '3m': 180000,
+  '5m': 300000,
+  '10m': 600000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '4h': 14400000,
+};
+
+// Simulated binary-option broker: fixed-stake call/put contracts settled against the tick at expiry
+export class BinaryOptionBroker extends Broker {
+  constructor(options = {}) {
+    super(options);
+    const {
+      initialCapital = 10000,
+      stake = 10,
+      expiry = '1m',
+      payouts = {},         // per-symbol payout ratio, e.g. { EURUSD: 0.92 }
+      defaultPayout = 0.85,
+      maxOpenContracts = 1, // per symbol; Infinity allows stacking
+      openOnNextTick = true
+    } = options;
+
+    if (!EXPIRY_MS[expiry]) {
+      throw new Error(`Invalid expiry: ${expiry}`);
+    }
+
+    this.initialCapital = initialCapital;
+    this.stake = stake;
+    this.expiry = expiry;
+    this.payouts = payouts;
+    this.defaultPayout = defaultPayout;
+    this.maxOpenContracts = maxOpenContracts;
+    this.openOnNextTick = openOnNextTick;
+    this.reset();
+  }
+
+  reset() {
+    this.balance = this.initialCapital;
+    this.prices = new Map();
+    this.pendingContracts = [];
+    this.openContracts = [];
+    this.contracts = [];
+    this.contractIdCounter = 1;
+    this.currentTime = null;
+  }
+
+  async connect() {
+    this.connected = true;
+    return { success: true };
+  }
+
+  async getServerTime() {
+    return this.currentTime ? new Date(this.currentTime) : this.clock.date();
+  }
+
+  getPayout(symbol) {
+    return this.payouts[symbol] ?? this.defaultPayout;
+  }
+
+  // Broker interface: buy opens a call, sell opens a put; qty is the stake
+  async placeOrder({ symbol, side, qty, meta = {} }) {
+    return this.openContract({
+      symbol,
+      direction: side === 'buy' ? 'call' : 'put',
+      stake: qty,
+      meta
+    });
+  }
+
+  async openContract({ symbol, direction, stake = this.stake, expiry = this.expiry, meta = {} }) {
+    if (!this.connected) {
+      throw new Error('Broker not connected');
+    }
+    if (!EXPIRY_MS[expiry]) {
+      throw new Error(`Invalid expiry: ${expiry}`);
+    }
+
+    const openForSymbol = [...this.pendingContracts, ...this.openContracts]
+      .filter(contract => contract.symbol === symbol).length;
+
+    if (openForSymbol >= this.maxOpenContracts) {
+      return { contractId: null, status: 'rejected', reason: 'max_open_contracts' };
+    }
+    if (stake > this.balance) {
+      return { contractId: null, status: 'rejected', reason: 'insufficient_balance' };
+    }
+
+    const contract = {
+      id: this.contractIdCounter++,
+      symbol,
+      direction,
+      stake,
+      expiry,
+      payout: this.getPayout(symbol),
+      status: 'pending',
+      submitTime: this.currentTime,
+      meta
+    };
+
+    this.balance -= stake;
+    this.contracts.push(contract);
+    this.pendingContracts.push(contract);
+
+    if (!this.openOnNextTick && this.prices.has(symbol)) {
+      this.activatePending(symbol, this.prices.get(symbol), this.currentTime);
+    }
+
+    return { contractId: contract.id, status: contract.status, submitTime: contract.submitTime };
+  }
+
+  setMarketPrice(symbol, price, ts) {
+    const previousPrice = this.prices.get(symbol);
+
+    // Contracts that expired between the previous tick and this one settle on the previous tick
+    this.openContracts
+      .filter(contract => contract.symbol === symbol && contract.expiryTime.getTime() <= ts.getTime())
+      .forEach(contract => {
+        const atExpiry = contract.expiryTime.getTime() === ts.getTime() || previousPrice === undefined
+          ? price
+          : previousPrice;
+        this.settleContract(contract, atExpiry);
+      });
+
+    this.prices.set(symbol, price);
+    this.currentTime = ts;
+    this.activatePending(symbol, price, ts);
+  }
+
+  activatePending(symbol, price, ts) {
+    const remaining = [];
+
+    for (const contract of this.pendingContracts) {
+      if (contract.symbol !== symbol) {
+        remaining.push(contract);
+        continue;
+      }
+
+      contract.status = 'open';
+      contract.entryPrice = price;
+      contract.entryTime = ts;
+      contract.expiryTime = new Date(ts.getTime() + EXPIRY_MS[contract.expiry]);
+      this.openContracts.push(contract);
+
+      this.notifyExecution({
+        type: 'open',
+        contractId: contract.id,
+        symbol,
+        direction: contract.direction,
+        stake: contract.stake,
+        price,
+        expiryTime: contract.expiryTime,
+        timestamp: ts
+      });
+    }
+
+    this.pendingContracts = remaining;
+  }
+
+  settleContract(contract, exitPrice) {
+    let result = 'tie';
+    if (exitPrice !== contract.entryPrice) {
+      const wentUp = exitPrice > contract.entryPrice;
+      result = (contract.direction === 'call') === wentUp ? 'win' : 'loss';
+    }
+
+    const returned = result === 'win'
+      ? contract.stake * (1 + contract.payout)
+      : result === 'tie' ? contract.stake : 0;
+
+    this.balance += returned;
+    contract.status = 'settled';
+    contract.result = result;
+    contract.exitPrice = exitPrice;
+    contract.exitTime = contract.expiryTime;
+    contract.pnl = returned - contract.stake;
+
+    this.openContracts = this.openContracts.filter(open => open !== contract);
+
+    this.notifyExecution({
+      type: 'settle',
+      contractId: contract.id,
+      symbol: contract.symbol,
+      direction: contract.direction,
+      result,
+      pnl: contract.pnl,
+      price: exitPrice,
+      timestamp: contract.expiryTime
+    });
+  }
+
+  // Contracts whose expiry lies beyond the available data cannot be settled: refund them
+  voidOpenContracts() {
+    [...this.pendingContracts, ...this.openContracts].forEach(contract => {
+      this.balance += contract.stake;
+      contract.status = 'void';
+      contract.pnl = 0;
+    });
+    this.pendingContracts = [];
+    this.openContracts = [];
+  }
+
+  getPosition(symbol) {
+    return [...this.pendingContracts, ...this.openContracts]
+      .filter(contract => contract.symbol === symbol)
+      .reduce((sum, contract) => sum + (contract.direction === 'call' ? contract.stake : -contract.stake), 0);
+  }
+
+  getEquity() {
+    // Open contracts are carried at cost until they settle
+    const staked = [...this.pendingContracts, ...this.openContracts]
+      .reduce((sum, contract) => sum + contract.stake, 0);
+    return this.balance + staked;
+  }
+
+  getSettledContracts() {
+    return this.contracts.filter(contract => contract.status === 'settled');
+  }
+
+  async getPositions() {
+    return [...this.pendingContracts, ...this.openContracts];
+  }
+
+  async getAccountInfo() {
+    const equity = this.getEquity();
+    return {
+      balance: this.balance,
+      equity,
+      margin: equity - this.balance,
+      freeMargin: this.balance,
+      marginLevel: 0,
+      currency: 'USD'
+    };
+  }
+}
+
 // Export broker instances
 export const pocketOptionBroker = new PocketOptionBroker();
 export const mockBroker = new MockBroker();
\ No newline at end of file
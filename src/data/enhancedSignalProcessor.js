@@ -1,10 +1,12 @@
 // Enhanced Signal Processing for improved trading accuracy
+import { PatternDetector } from '../engine/PatternDetector.js';
 
 export class EnhancedSignalProcessor {
   constructor() {
     this.signalHistory = new Map();
     this.accuracyMetrics = new Map();
     this.adaptiveThresholds = new Map();
+    this.patternDetector = new PatternDetector();
   }
 
   // Process and enhance trading signals with multiple confirmations
@@ -181,30 +183,29 @@ export class EnhancedSignalProcessor {
     return { score, signals };
   }
 
+  // priceData.patterns: detections from IndicatorWorker.buildCandle; or
+  // priceData.candles: completed OHLC candles to run the detector over
   analyzePatterns(symbol, priceData) {
-    // Simple pattern recognition
-    const history = this.signalHistory.get(symbol) || [];
-    let score = 0;
-    let signals = [];
-    
-    if (history.length >= 3) {
-      const recent = history.slice(-3);
-      const prices = recent.map(h => h.price || 0);
-      
-      // Check for patterns
-      if (prices[0] < prices[1] && prices[1] < prices[2]) {
-        score += 20;
-        signals.push('Ascending Price Pattern Detected');
-      } else if (prices[0] > prices[1] && prices[1] > prices[2]) {
-        score -= 20;
-        signals.push('Descending Price Pattern Detected');
-      } else if (Math.abs(prices[0] - prices[2]) < prices[1] * 0.001) {
-        score += 10;
-        signals.push('Consolidation Pattern Detected');
-      }
+    let patterns = [];
+    if (priceData && priceData.patterns) {
+      patterns = priceData.patterns;
+    } else if (priceData && priceData.candles) {
+      patterns = this.patternDetector.detect(priceData.candles);
     }
-    
-    return { score: Math.max(-100, Math.min(100, score)), signals };
+
+    if (patterns.length === 0) return { score: 0, signals: ['No candlestick patterns'], patterns };
+
+    let score = 0;
+    const signals = [];
+
+    // Neutral patterns (doji, inside bar) flag indecision but carry no direction
+    patterns.forEach(({ name, direction, strength }) => {
+      if (direction === 'bullish') score += 50 * strength;
+      else if (direction === 'bearish') score -= 50 * strength;
+      signals.push(`${name} Detected (${Math.round(strength * 100)}% strength)`);
+    });
+
+    return { score: Math.max(-100, Math.min(100, Math.round(score))), signals, patterns };
   }
 
   analyzeStrategyAlignment(strategy, marketData) {
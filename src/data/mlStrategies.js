@@ -164,7 +164,10 @@ export class MLStrategyEngine {
   }
 
   calculateEntryPoints(strategyName, marketData) {
-    const currentPrice = parseFloat(marketData.technicalOverview.currentPrice);
+    const { currentPrice: price, support1, resistance1, support2, resistance2 } = marketData.technicalOverview;
+    const currentPrice = parseFloat(price);
+    // Without candle history there are no levels to trade off
+    const hasLevels = support1 !== null && resistance1 !== null;
     
     switch (strategyName) {
       case 'scalping':
@@ -173,21 +176,23 @@ export class MLStrategyEngine {
           sell: currentPrice + (currentPrice * 0.0005)
         };
       case 'momentum':
+        if (!hasLevels) break;
         return {
-          buy: parseFloat(marketData.technicalOverview.support1),
-          sell: parseFloat(marketData.technicalOverview.resistance1)
+          buy: parseFloat(support1),
+          sell: parseFloat(resistance1)
         };
       case 'meanReversion':
+        if (!hasLevels) break;
         return {
-          buy: parseFloat(marketData.technicalOverview.support2),
-          sell: parseFloat(marketData.technicalOverview.resistance2)
-        };
-      default:
-        return {
-          buy: currentPrice * 0.999,
-          sell: currentPrice * 1.001
+          buy: parseFloat(support2 ?? support1),
+          sell: parseFloat(resistance2 ?? resistance1)
         };
     }
+    
+    return {
+      buy: currentPrice * 0.999,
+      sell: currentPrice * 1.001
+    };
   }
 
   calculateExitPoints(strategyName, marketData) {
@@ -0,0 +1,438 @@
+import { supabase } from '../lib/supabaseClient.js';
+import { realClock } from '../engine/Clock.js';
+
+// Spools hold queued writes across reloads. Both expose async load() (entries
+// in seq order), put(entries) and remove(seqs).
+export class MemorySpool {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async load() {
+    return Array.from(this.entries.values()).sort((a, b) => a.seq - b.seq);
+  }
+
+  async put(entries) {
+    entries.forEach(entry => this.entries.set(entry.seq, entry));
+  }
+
+  async remove(seqs) {
+    seqs.forEach(seq => this.entries.delete(seq));
+  }
+}
+
+export class IndexedDBSpool {
+  constructor(name = 'mamorabot-persistence', storeName = 'pending') {
+    this.name = name;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'seq' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async transaction(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = run(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // getAll returns records in key order, i.e. by seq
+  load() {
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  put(entries) {
+    return this.transaction('readwrite', store => {
+      entries.forEach(entry => store.put(entry));
+    });
+  }
+
+  remove(seqs) {
+    return this.transaction('readwrite', store => {
+      seqs.forEach(seq => store.delete(seq));
+    });
+  }
+}
+
+const defaultSpool = () => (
+  typeof indexedDB !== 'undefined' ? new IndexedDBSpool() : new MemorySpool()
+);
+
+// Version 4 UUID; crypto.randomUUID is missing outside secure contexts
+const createClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random % 4) + 8).toString(16);
+  });
+};
+
+// Network failures carry no Postgres code. Connection, rollback, resource,
+// shutdown and expired-JWT errors may pass on retry; anything else (constraint
+// violations, RLS, unknown columns) would fail the same way forever.
+const isTransient = (error) => !error.code || /^(08|40|53|57|PGRST3)/.test(error.code);
+
+// Buffers signal, order and trade writes so callers never wait on Supabase.
+// Writes go out in the order they were queued: consecutive inserts into one
+// table as a single upsert on client_id (so a retried batch cannot duplicate
+// rows), updates one by one. Transient failures retry with exponential
+// back-off. Every write is spooled to IndexedDB as it is queued and removed
+// once written, so nothing waiting for a flush, a retry or the network is
+// lost when the page closes; the next page load resumes the queue.
+export class PersistenceQueue {
+  constructor(options = {}) {
+    const {
+      client = supabase,
+      clock = realClock,
+      spool = defaultSpool(),
+      batchSize = 50,
+      flushDelayMs = 250,       // gathers writes arriving together into one batch
+      baseRetryDelayMs = 500,
+      maxRetryDelayMs = 30000,
+      maxRememberedIds = 1000
+    } = options;
+
+    this.client = client;
+    this.clock = clock;
+    this.spool = spool;
+    this.batchSize = batchSize;
+    this.flushDelayMs = flushDelayMs;
+    this.baseRetryDelayMs = baseRetryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.maxRememberedIds = maxRememberedIds;
+
+    this.pending = [];
+    this.ids = new Map(); // 'table:clientId' -> database id, oldest first
+    this.seqCounter = clock.now() * 1000; // keeps increasing across reloads
+    this.attempts = 0;
+    this.lastError = null;
+    this.online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    this.flushTimer = null;
+    this.flushing = null;
+    this.started = false;
+    this.ready = Promise.resolve();
+    this.statusHandlers = [];
+    this.onlineHandler = null;
+    this.offlineHandler = null;
+  }
+
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  // Loads writes spooled by an earlier session and follows the browser's
+  // connectivity. Called on the first write; safe to call again.
+  start() {
+    if (this.started) return this.ready;
+    this.started = true;
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this.onlineHandler = () => {
+        this.online = true;
+        this.attempts = 0;
+        this.scheduleFlush(0);
+        this.notify();
+      };
+      this.offlineHandler = () => {
+        this.online = false;
+        this.notify();
+      };
+      window.addEventListener('online', this.onlineHandler);
+      window.addEventListener('offline', this.offlineHandler);
+    }
+
+    this.ready = this.spool.load()
+      .then(entries => {
+        const queued = new Set(this.pending.map(entry => entry.seq));
+        const restored = entries
+          .filter(entry => !queued.has(entry.seq))
+          .map(entry => ({ ...entry, spooled: true }));
+        if (restored.length === 0) return;
+
+        this.pending = [...restored, ...this.pending].sort((a, b) => a.seq - b.seq);
+        this.seqCounter = Math.max(this.seqCounter, restored[restored.length - 1].seq + 1);
+      })
+      .catch(error => {
+        console.error('Error loading spooled writes:', error);
+      })
+      .then(() => {
+        if (this.pending.length > 0) this.scheduleFlush(0);
+        this.notify();
+      });
+
+    return this.ready;
+  }
+
+  stop() {
+    if (this.flushTimer) {
+      this.clock.clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.onlineHandler) {
+      window.removeEventListener('online', this.onlineHandler);
+      window.removeEventListener('offline', this.offlineHandler);
+      this.onlineHandler = null;
+      this.offlineHandler = null;
+    }
+    this.started = false;
+  }
+
+  // Queues an insert and returns its client id straight away. The row is
+  // written with it in client_id, so updates and references can target it
+  // before its database id exists.
+  insert(table, values) {
+    const clientId = createClientId();
+    this.enqueue({ op: 'insert', table, clientId, values: { ...values, client_id: clientId } });
+    return clientId;
+  }
+
+  // Updates the row queued under clientId; runs after that row's insert
+  update(table, clientId, values) {
+    this.enqueue({ op: 'update', table, clientId, values });
+  }
+
+  // Stands in for the database id of a queued row inside another write's values
+  ref(table, clientId) {
+    return { $ref: { table, clientId } };
+  }
+
+  enqueue(entry) {
+    this.start();
+    this.pending.push({ ...entry, seq: this.seqCounter++, spooled: false });
+    this.spoolPending();
+
+    const full = this.pending.length >= this.batchSize && this.attempts === 0;
+    this.scheduleFlush(full ? 0 : this.flushDelayMs);
+    this.notify();
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushing) return; // the running flush picks up new writes
+    if (this.flushTimer) {
+      if (delay > 0) return;
+      this.clock.clearTimeout(this.flushTimer);
+    }
+    this.flushTimer = this.clock.setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  // Writes pending entries in order until the queue is empty, the browser is
+  // offline or a write fails transiently (a retry is then scheduled)
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.ready
+        .then(() => this.drain())
+        .finally(() => {
+          this.flushing = null;
+          if (this.pending.length > 0 && !this.flushTimer && this.online) {
+            this.scheduleFlush(this.flushDelayMs);
+          }
+        });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    while (this.pending.length > 0 && this.online) {
+      const batch = this.nextBatch();
+
+      try {
+        await this.write(batch);
+      } catch (error) {
+        if (this.handleFailure(batch, error)) continue;
+        return;
+      }
+
+      this.attempts = 0;
+      this.lastError = null;
+      this.pending.splice(0, batch.length);
+      this.unspool(batch);
+      this.notify();
+    }
+  }
+
+  // Consecutive inserts into one table go out together
+  nextBatch() {
+    const [head] = this.pending;
+    if (head.op !== 'insert' || head.isolate) return [head];
+
+    let end = 1;
+    while (end < this.pending.length && end < this.batchSize) {
+      const entry = this.pending[end];
+      if (entry.op !== 'insert' || entry.table !== head.table || entry.isolate) break;
+      end++;
+    }
+    return this.pending.slice(0, end);
+  }
+
+  async write(batch) {
+    const [head] = batch;
+
+    if (head.op === 'update') {
+      const values = await this.resolveRefs(head.values);
+      const { error } = await this.client
+        .from(head.table)
+        .update(values)
+        .eq('client_id', head.clientId);
+      if (error) throw error;
+      return;
+    }
+
+    const rows = [];
+    for (const entry of batch) {
+      rows.push(await this.resolveRefs(entry.values));
+    }
+
+    const { data, error } = await this.client
+      .from(head.table)
+      .upsert(rows, { onConflict: 'client_id' })
+      .select('id, client_id');
+    if (error) throw error;
+
+    (data || []).forEach(row => this.rememberId(head.table, row.client_id, row.id));
+  }
+
+  // Returns true to carry on draining
+  handleFailure(batch, error) {
+    const [head] = batch;
+    this.lastError = error.message || String(error);
+
+    if (isTransient(error)) {
+      const delay = Math.min(this.maxRetryDelayMs, this.baseRetryDelayMs * 2 ** this.attempts);
+      this.attempts++;
+      console.warn(`Writing ${head.table} failed (${this.lastError}), retrying in ${delay}ms`);
+      this.flushTimer = this.clock.setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, delay);
+      this.notify();
+      return false;
+    }
+
+    if (batch.length > 1) {
+      // Retry the rows one at a time so one bad row does not sink the rest
+      batch.forEach(entry => { entry.isolate = true; });
+      return true;
+    }
+
+    console.error(`Dropping ${head.op} on ${head.table} rejected by the database:`, error);
+    this.pending.shift();
+    this.unspool(batch);
+    this.notify();
+    return true;
+  }
+
+  // Replaces { $ref } placeholders with database ids. Earlier writes have been
+  // flushed by now, so a missing id means the row was written by an earlier
+  // session (looked up by client_id) or rejected (null).
+  async resolveRefs(values) {
+    const resolved = { ...values };
+    for (const [key, value] of Object.entries(values)) {
+      if (value && typeof value === 'object' && value.$ref) {
+        resolved[key] = await this.resolveId(value.$ref.table, value.$ref.clientId);
+      }
+    }
+    return resolved;
+  }
+
+  async resolveId(table, clientId) {
+    const key = `${table}:${clientId}`;
+    if (this.ids.has(key)) return this.ids.get(key);
+
+    const { data, error } = await this.client
+      .from(table)
+      .select('id')
+      .eq('client_id', clientId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!data) {
+      console.warn(`No ${table} row with client id ${clientId}, writing a null reference`);
+      return null;
+    }
+    this.rememberId(table, clientId, data.id);
+    return data.id;
+  }
+
+  rememberId(table, clientId, id) {
+    this.ids.set(`${table}:${clientId}`, id);
+    if (this.ids.size > this.maxRememberedIds) {
+      this.ids.delete(this.ids.keys().next().value);
+    }
+  }
+
+  spoolPending() {
+    const entries = this.pending.filter(entry => !entry.spooled);
+    if (entries.length === 0) return;
+
+    entries.forEach(entry => { entry.spooled = true; });
+    this.spool.put(entries).catch(error => {
+      console.error('Error spooling writes:', error);
+    });
+  }
+
+  unspool(batch) {
+    const seqs = batch.filter(entry => entry.spooled).map(entry => entry.seq);
+    if (seqs.length === 0) return;
+
+    this.spool.remove(seqs).catch(error => {
+      console.error('Error removing spooled writes:', error);
+    });
+  }
+
+  getStatus() {
+    return {
+      pending: this.pending.length,
+      spooled: this.pending.filter(entry => entry.spooled).length,
+      online: this.online,
+      retrying: this.attempts > 0,
+      lastError: this.lastError
+    };
+  }
+
+  onStatus(handler) {
+    this.statusHandlers.push(handler);
+    return () => {
+      const index = this.statusHandlers.indexOf(handler);
+      if (index > -1) {
+        this.statusHandlers.splice(index, 1);
+      }
+    };
+  }
+
+  notify() {
+    if (this.statusHandlers.length === 0) return;
+
+    const status = this.getStatus();
+    this.statusHandlers.forEach(handler => {
+      try {
+        handler(status);
+      } catch (error) {
+        console.error('Error in persistence status handler:', error);
+      }
+    });
+  }
+}
+
+export const persistenceQueue = new PersistenceQueue();
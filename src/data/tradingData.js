@@ -1,4 +1,5 @@
 // Enhanced trading data with Pocket Option currencies and real-time recommendations
+import { levelCalculator } from '../engine/Levels.js';
 
 export const markets = {
   forex: [
@@ -39,23 +40,34 @@ export const recommendationTypes = {
   WAIT: { action: 'WAIT', color: 'gray', icon: '⏳', confidence: 'Low' }
 };
 
-// Generate realistic market data similar to Pocket Option
-export const generateMarketData = (market, symbol, timeframe) => {
-  const basePrice = getRealisticPrice(symbol);
+// Levels need some history to mean anything; below this many candles there
+// are none
+const MIN_LEVEL_CANDLES = 20;
+
+const NO_LEVELS = { resistance1: null, resistance2: null, support1: null, support2: null };
+
+// Generate realistic market data similar to Pocket Option.
+// candles: completed OHLC history used for price and support/resistance levels
+export const generateMarketData = (market, symbol, timeframe, candles = []) => {
+  const lastCandle = candles[candles.length - 1];
+  const basePrice = lastCandle ? lastCandle.open : getRealisticPrice(symbol);
   const volatility = Math.random() * 100;
   const volume = Math.random() * 100;
   const rsi = Math.random() * 100;
   const sentiment = Math.random();
   
   // Generate more realistic price movements
-  const priceVariation = basePrice * (Math.random() - 0.5) * 0.001; // 0.1% variation
-  const currentPrice = basePrice + priceVariation;
+  const currentPrice = lastCandle
+    ? lastCandle.close
+    : basePrice * (1 + (Math.random() - 0.5) * 0.001); // 0.1% variation
+  const priceVariation = currentPrice - basePrice;
   
-  // Calculate technical indicators with more realistic values
-  const resistance1 = currentPrice * (1 + Math.random() * 0.005);
-  const resistance2 = currentPrice * (1 + Math.random() * 0.01);
-  const support1 = currentPrice * (1 - Math.random() * 0.005);
-  const support2 = currentPrice * (1 - Math.random() * 0.01);
+  // Pivots, swing zones and Fibonacci levels from the candle history
+  const levels = candles.length >= MIN_LEVEL_CANDLES ? levelCalculator.compute(candles, currentPrice) : null;
+  const { resistance1, resistance2, support1, support2 } = levels
+    ? levelCalculator.nearestLevels(levels, currentPrice)
+    : NO_LEVELS;
+  const formatLevel = price => (price === null ? null : price.toFixed(getDecimalPlaces(symbol)));
   
   // Generate real-time recommendation
   const recommendation = generateRecommendation(rsi, volatility, sentiment);
@@ -88,10 +100,14 @@ export const generateMarketData = (market, symbol, timeframe) => {
       currentPrice: currentPrice.toFixed(getDecimalPlaces(symbol)),
       priceChange: (priceVariation >= 0 ? '+' : '') + priceVariation.toFixed(getDecimalPlaces(symbol)),
       priceChangePercent: ((priceVariation / basePrice) * 100).toFixed(2),
-      resistance1: resistance1.toFixed(getDecimalPlaces(symbol)),
-      resistance2: resistance2.toFixed(getDecimalPlaces(symbol)),
-      support1: support1.toFixed(getDecimalPlaces(symbol)),
-      support2: support2.toFixed(getDecimalPlaces(symbol)),
+      resistance1: formatLevel(resistance1),
+      resistance2: formatLevel(resistance2),
+      support1: formatLevel(support1),
+      support2: formatLevel(support2),
+      pivots: levels ? levels.classic : null,
+      camarilla: levels ? levels.camarilla : null,
+      zones: levels ? levels.zones : null,
+      fibonacci: levels ? levels.fibonacci : null,
       rsi: Math.round(rsi),
       rsiStatus: rsi > 70 ? 'Overbought' : rsi < 30 ? 'Oversold' : 'Normal',
       macd: macdSignal,
@@ -1,9 +1,16 @@
-class WebSocketClient {
-  constructor() {
+import { OffsetClock, realClock } from '../engine/Clock.js';
+import { TickRingBuffer } from '../engine/TickRingBuffer.js';
+
+const TICK_BUFFER_CAPACITY = 2048;
+
+export class WebSocketClient {
+  constructor(options = {}) {
+    const { clock = realClock } = options;
     this.ws = null;
     this.subscribers = new Map();
     this.tickBuffers = new Map();
-    this.clockOffset = 0;
+    // Server time = local clock + measured offset
+    this.clock = new OffsetClock(clock);
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
@@ -75,21 +82,17 @@ class WebSocketClient {
   processTick({ symbol, ts, price }) {
     // Convert server timestamp to Date object
     const serverTime = new Date(ts);
-    const tick = { symbol, ts: serverTime, price: parseFloat(price) };
+    const value = parseFloat(price);
 
-    // Store in ring buffer (last 2048 ticks per symbol)
-    if (!this.tickBuffers.has(symbol)) {
-      this.tickBuffers.set(symbol, []);
-    }
-    
-    const buffer = this.tickBuffers.get(symbol);
-    buffer.push(tick);
-    if (buffer.length > 2048) {
-      buffer.shift();
-    }
+    // Store in the columnar ring (last 2048 ticks per symbol); workers attached
+    // to it read ticks from there instead of receiving them by postMessage
+    this.getTickRing(symbol).push(serverTime.getTime(), value);
 
     // Notify subscribers
-    const symbolSubscribers = this.subscribers.get(symbol) || [];
+    const symbolSubscribers = this.subscribers.get(symbol);
+    if (!symbolSubscribers || symbolSubscribers.length === 0) return;
+
+    const tick = { symbol, ts: serverTime, price: value };
     symbolSubscribers.forEach(handler => {
       try {
         handler(tick);
@@ -128,17 +131,39 @@ class WebSocketClient {
     };
   }
 
+  getTickRing(symbol) {
+    if (!this.tickBuffers.has(symbol)) {
+      this.tickBuffers.set(symbol, new TickRingBuffer({ symbol, capacity: TICK_BUFFER_CAPACITY }));
+    }
+    return this.tickBuffers.get(symbol);
+  }
+
   getTickBuffer(symbol) {
-    return this.tickBuffers.get(symbol) || [];
+    const ring = this.tickBuffers.get(symbol);
+    return ring ? ring.toArray() : [];
   }
 
   getLatestTick(symbol) {
-    const buffer = this.tickBuffers.get(symbol);
-    return buffer && buffer.length > 0 ? buffer[buffer.length - 1] : null;
+    const ring = this.tickBuffers.get(symbol);
+    return ring ? ring.latest() : null;
+  }
+
+  get clockOffset() {
+    return this.clock.getOffset();
+  }
+
+  // Swap the local time source in place so holders of this.clock (e.g. Scheduler) follow it
+  setClock(clock) {
+    this.stopHeartbeat();
+    this.clock.base = clock;
+    if (this.isConnected) {
+      this.startClockSync();
+      this.startHeartbeat();
+    }
   }
 
   getServerTime() {
-    return new Date(Date.now() + this.clockOffset);
+    return this.clock.date();
   }
 
   startClockSync() {
@@ -146,7 +171,7 @@ class WebSocketClient {
     this.syncClock();
     
     // Sync every 30 seconds
-    this.clockSyncInterval = setInterval(() => {
+    this.clockSyncInterval = this.clock.setInterval(() => {
       this.syncClock();
     }, 30000);
   }
@@ -154,7 +179,7 @@ class WebSocketClient {
   syncClock() {
     if (!this.isConnected) return;
 
-    const clientTime = Date.now();
+    const clientTime = this.clock.base.now();
     this.send({ type: 'ping', client_time: clientTime });
     this.lastPingTime = clientTime;
   }
@@ -162,37 +187,37 @@ class WebSocketClient {
   handlePong(data) {
     if (!this.lastPingTime) return;
 
-    const now = Date.now();
+    const now = this.clock.base.now();
     const rtt = now - this.lastPingTime;
     const serverTime = new Date(data.server_time).getTime();
     
     // Calculate clock offset: server_time - client_time - rtt/2
-    this.clockOffset = serverTime - now + rtt / 2;
+    this.clock.setOffset(serverTime - now + rtt / 2);
     
     console.log(`Clock sync: offset=${this.clockOffset}ms, RTT=${rtt}ms`);
   }
 
   updateClockOffset(data) {
     const serverTime = new Date(data.server_time).getTime();
-    const clientTime = Date.now();
-    this.clockOffset = serverTime - clientTime;
+    const clientTime = this.clock.base.now();
+    this.clock.setOffset(serverTime - clientTime);
   }
 
   startHeartbeat() {
-    this.pingInterval = setInterval(() => {
+    this.pingInterval = this.clock.setInterval(() => {
       if (this.isConnected) {
-        this.send({ type: 'ping', client_time: Date.now() });
+        this.send({ type: 'ping', client_time: this.clock.base.now() });
       }
     }, 10000);
   }
 
   stopHeartbeat() {
     if (this.pingInterval) {
-      clearInterval(this.pingInterval);
+      this.clock.clearInterval(this.pingInterval);
       this.pingInterval = null;
     }
     if (this.clockSyncInterval) {
-      clearInterval(this.clockSyncInterval);
+      this.clock.clearInterval(this.clockSyncInterval);
       this.clockSyncInterval = null;
     }
   }
@@ -214,7 +239,7 @@ class WebSocketClient {
     
     console.log(`Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
     
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       this.connect().catch(console.error);
     }, delay);
   }
@@ -234,13 +259,26 @@ class WebSocketClient {
 export const wsClient = new WebSocketClient();
 
 // Fallback mock data for development when WebSocket is not available
-class MockWebSocketClient {
-  constructor() {
+export class MockWebSocketClient {
+  constructor(options = {}) {
+    const { clock = realClock } = options;
+    // Mock server time is local time; same clock shape as WebSocketClient
+    this.clock = new OffsetClock(clock);
     this.subscribers = new Map();
+    this.tickBuffers = new Map();
     this.isRunning = false;
     this.mockInterval = null;
   }
 
+  setClock(clock) {
+    const wasRunning = this.isRunning;
+    this.stopMockData();
+    this.clock.base = clock;
+    if (wasRunning) {
+      this.startMockData();
+    }
+  }
+
   connect() {
     console.log('Using mock WebSocket client for development');
     this.isConnected = true;
@@ -255,7 +293,7 @@ class MockWebSocketClient {
     const symbols = ['EURUSD', 'GBPUSD', 'USDJPY', 'BTCUSD'];
     let prices = { EURUSD: 1.0850, GBPUSD: 1.2650, USDJPY: 149.50, BTCUSD: 43500 };
     
-    this.mockInterval = setInterval(() => {
+    this.mockInterval = this.clock.setInterval(() => {
       symbols.forEach(symbol => {
         // Generate realistic price movement
         const volatility = symbol === 'BTCUSD' ? 50 : 0.0005;
@@ -264,9 +302,10 @@ class MockWebSocketClient {
         
         const tick = {
           symbol,
-          ts: new Date(),
+          ts: this.clock.date(),
           price: prices[symbol]
         };
+        this.getTickRing(symbol).push(tick.ts.getTime(), tick.price);
         
         const handlers = this.subscribers.get(symbol) || [];
         handlers.forEach(handler => handler(tick));
@@ -289,16 +328,37 @@ class MockWebSocketClient {
     };
   }
 
+  getTickRing(symbol) {
+    if (!this.tickBuffers.has(symbol)) {
+      this.tickBuffers.set(symbol, new TickRingBuffer({ symbol, capacity: TICK_BUFFER_CAPACITY }));
+    }
+    return this.tickBuffers.get(symbol);
+  }
+
+  getTickBuffer(symbol) {
+    const ring = this.tickBuffers.get(symbol);
+    return ring ? ring.toArray() : [];
+  }
+
+  getLatestTick(symbol) {
+    const ring = this.tickBuffers.get(symbol);
+    return ring ? ring.latest() : null;
+  }
+
   getServerTime() {
-    return new Date();
+    return this.clock.date();
   }
 
-  disconnect() {
+  stopMockData() {
     this.isRunning = false;
     if (this.mockInterval) {
-      clearInterval(this.mockInterval);
+      this.clock.clearInterval(this.mockInterval);
       this.mockInterval = null;
     }
+  }
+
+  disconnect() {
+    this.stopMockData();
     this.subscribers.clear();
   }
 }
@@ -0,0 +1,55 @@
+import { Backtester } from './Backtester.js';
+
+// Executes backtest jobs against cached tick datasets. Runs inside
+// optimizer.worker.js, or on the main thread when Workers are unavailable.
+export class BacktestJobRunner {
+  constructor() {
+    this.datasets = new Map();
+  }
+
+  loadDataset(datasetId, ticks) {
+    const normalized = new Backtester().normalizeTicks(ticks);
+    this.datasets.set(datasetId, normalized);
+    return { success: true, datasetId, count: normalized.length };
+  }
+
+  dropDataset(datasetId) {
+    return { success: this.datasets.delete(datasetId), datasetId };
+  }
+
+  async runBacktest({
+    datasetId,
+    from = 0,
+    to,
+    strategy,
+    params = {},
+    options = {},
+    includeEquity = false,
+    includeTrades = false
+  }) {
+    const ticks = this.datasets.get(datasetId);
+    if (!ticks) {
+      throw new Error(`Dataset ${datasetId} not loaded`);
+    }
+
+    const backtester = new Backtester(options);
+    const result = await backtester.run({
+      ticks: ticks.slice(from, to ?? ticks.length),
+      strategies: [{ name: strategy, params }]
+    });
+
+    return {
+      success: true,
+      params,
+      stats: result.stats,
+      equityCurve: includeEquity ? result.equityCurve : undefined,
+      trades: includeTrades ? result.trades : undefined,
+      contracts: includeTrades ? result.contracts : undefined
+    };
+  }
+
+  cleanup() {
+    this.datasets.clear();
+    return { success: true };
+  }
+}
@@ -0,0 +1,341 @@
+import { strategyEngine as defaultEngine } from './StrategyEngine.js';
+import { CandleBuilder, CANDLE_DEFAULTS, TIMEFRAME_MS } from './CandleBuilder.js';
+import { SimulatedBroker, BinaryOptionBroker } from '../data/brokerAdapter.js';
+import { supabase } from '../lib/supabaseClient.js';
+
+// Event-driven backtester: replays ticks through StrategyEngine and fills
+// the resulting signals on a simulated broker. Nothing is written to Supabase.
+//
+// mode 'margin' holds long/short positions on a SimulatedBroker;
+// mode 'binary' opens a fixed-stake call/put per signal on a BinaryOptionBroker.
+export class Backtester {
+  constructor(options = {}) {
+    const {
+      engine = defaultEngine,
+      mode = 'margin',
+      timeframe = '1m',
+      initialCapital = 10000,
+      positionSize = 1,
+      commission = 0,
+      slippage = 0,
+      fillOnNextTick = true,
+      closeOpenPositions = true,
+      // binary mode
+      stake = 10,
+      expiry = '1m',
+      payouts = {},
+      defaultPayout = 0.85,
+      maxOpenContracts = 1
+    } = options;
+
+    if (mode !== 'margin' && mode !== 'binary') {
+      throw new Error(`Invalid backtest mode: ${mode}`);
+    }
+
+    this.engine = engine;
+    this.mode = mode;
+    this.timeframe = timeframe;
+    this.positionSize = positionSize;
+    this.closeOpenPositions = closeOpenPositions;
+    this.brokerOptions = mode === 'binary'
+      ? { initialCapital, stake, expiry, payouts, defaultPayout, maxOpenContracts, openOnNextTick: fillOnNextTick }
+      : { initialCapital, commission, slippage, fillOnNextTick };
+    this.eventHandlers = [];
+  }
+
+  createBroker() {
+    return this.mode === 'binary'
+      ? new BinaryOptionBroker(this.brokerOptions)
+      : new SimulatedBroker(this.brokerOptions);
+  }
+
+  // Read-only helper for pulling historical ticks out of the ticks table
+  async loadTicks({ symbol, from, to }) {
+    const { data, error } = await supabase
+      .from('ticks')
+      .select('symbol, ts, price')
+      .eq('symbol', symbol)
+      .gte('ts', new Date(from).toISOString())
+      .lte('ts', new Date(to).toISOString())
+      .order('ts', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  onEvent(handler) {
+    this.eventHandlers.push(handler);
+    return () => {
+      const index = this.eventHandlers.indexOf(handler);
+      if (index > -1) {
+        this.eventHandlers.splice(index, 1);
+      }
+    };
+  }
+
+  emit(type, payload) {
+    this.eventHandlers.forEach(handler => {
+      try {
+        handler({ type, ...payload });
+      } catch (error) {
+        console.error('Error in backtest event handler:', error);
+      }
+    });
+  }
+
+  // strategies: BaseStrategy instances or { name, params, id, code } descriptors;
+  // as in LiveRunner, fresh instances are built for every symbol so that
+  // indicators, cooldowns and crossovers of one symbol never see another's ticks
+  async run({ ticks, strategies }) {
+    const broker = this.createBroker();
+    // The worker's options, so backtests build the same candles as live trading
+    const candleBuilder = new CandleBuilder(CANDLE_DEFAULTS);
+    const orderedTicks = this.normalizeTicks(ticks);
+    // symbol -> strategy instances
+    const instances = new Map();
+    new Set(orderedTicks.map(tick => tick.symbol)).forEach(symbol => {
+      instances.set(symbol, this.resolveStrategies(strategies));
+    });
+    const allInstances = [...instances.values()].flat();
+    const higherTimeframes = this.resolveHigherTimeframes(allInstances);
+    const equityCurve = [];
+    const signals = [];
+    const candles = [];
+
+    await broker.connect();
+    allInstances.forEach(strategy => strategy.reset());
+
+    let lastTick = null;
+
+    for (const tick of orderedTicks) {
+      // Pending orders fill first so signals never trade on the tick that produced them
+      broker.setMarketPrice(tick.symbol, tick.price, tick.ts);
+      this.emit('tick', { tick });
+
+      const { completed, higher } = candleBuilder.buildWithRollUp(tick.symbol, this.timeframe, tick, higherTimeframes);
+      if (completed) {
+        candles.push(completed);
+        equityCurve.push({ ts: completed.ts_close, equity: broker.getEquity() });
+        this.emit('candle', { candle: completed });
+      }
+
+      const higherCandles = Object.values(higher)
+        .filter(rolled => rolled.completed)
+        .map(rolled => rolled.completed);
+
+      // Only closed candles are handed to strategies so candle-based indicators see each bar once
+      const tickSignals = await this.engine.evaluateStrategies(
+        tick,
+        completed || null,
+        instances.get(tick.symbol),
+        { persist: false, higherCandles }
+      );
+
+      for (const signal of tickSignals) {
+        const record = { ...signal, symbol: tick.symbol, ts: tick.ts, price: tick.price };
+        signals.push(record);
+        this.emit('signal', { signal: record });
+        await this.executeSignal(broker, record);
+      }
+
+      lastTick = tick;
+    }
+    allInstances.forEach(strategy => {
+      if (strategy.dispose) strategy.dispose();
+    });
+
+    if (this.mode === 'binary') {
+      broker.voidOpenContracts();
+    } else if (lastTick && this.closeOpenPositions) {
+      await this.flattenPositions(broker);
+    }
+
+    if (lastTick) {
+      equityCurve.push({ ts: lastTick.ts, equity: broker.getEquity() });
+    }
+
+    if (this.mode === 'binary') {
+      const contracts = broker.getSettledContracts();
+      return {
+        equityCurve,
+        trades: contracts,
+        contracts: broker.contracts,
+        signals,
+        candles,
+        stats: this.calculateBinaryStats(equityCurve, contracts, broker.contracts, this.brokerOptions.initialCapital)
+      };
+    }
+
+    const trades = broker.closedTrades;
+    return {
+      equityCurve,
+      trades,
+      signals,
+      candles,
+      orders: broker.orders,
+      stats: this.calculateStats(equityCurve, trades, this.brokerOptions.initialCapital)
+    };
+  }
+
+  resolveStrategies(strategies = []) {
+    return strategies.map(strategy => (
+      this.engine.buildStrategy(strategy.name, strategy.params, strategy.id ?? null, strategy.code ?? null)
+    ));
+  }
+
+  // Union of the strategies' higher timeframes, shortest first, as a roll-up chain
+  resolveHigherTimeframes(instances) {
+    const timeframes = new Set();
+    instances.forEach(strategy => {
+      if (strategy.getHigherTimeframes) {
+        strategy.getHigherTimeframes().forEach(timeframe => timeframes.add(timeframe));
+      }
+    });
+    return [...timeframes].sort((a, b) => TIMEFRAME_MS[a] - TIMEFRAME_MS[b]);
+  }
+
+  normalizeTicks(ticks = []) {
+    return ticks
+      .map(tick => ({
+        symbol: tick.symbol,
+        ts: tick.ts instanceof Date ? tick.ts : new Date(tick.ts),
+        price: typeof tick.price === 'number' ? tick.price : parseFloat(tick.price)
+      }))
+      .sort((a, b) => a.ts.getTime() - b.ts.getTime());
+  }
+
+  async executeSignal(broker, signal) {
+    if (this.mode === 'binary') {
+      const contract = await broker.openContract({
+        symbol: signal.symbol,
+        direction: signal.side === 'long' ? 'call' : 'put',
+        meta: { strategy: signal.strategy, confidence: signal.confidence }
+      });
+      this.emit('order', { order: contract, signal });
+      return contract;
+    }
+
+    const target = signal.side === 'long' ? this.positionSize : -this.positionSize;
+    const current = broker.getPosition(signal.symbol);
+    const delta = target - current;
+
+    if (delta === 0) return null;
+
+    const order = await broker.placeOrder({
+      symbol: signal.symbol,
+      side: delta > 0 ? 'buy' : 'sell',
+      qty: Math.abs(delta),
+      meta: { strategy: signal.strategy, confidence: signal.confidence }
+    });
+
+    this.emit('order', { order, signal });
+    return order;
+  }
+
+  async flattenPositions(broker) {
+    const positions = await broker.getPositions();
+    for (const position of positions) {
+      broker.fillOrder(
+        {
+          id: null,
+          symbol: position.symbol,
+          side: position.qty > 0 ? 'sell' : 'buy',
+          qty: Math.abs(position.qty),
+          type: 'market',
+          meta: { reason: 'end_of_data' }
+        },
+        broker.prices.get(position.symbol)
+      );
+    }
+  }
+
+  calculateStats(equityCurve, trades, initialCapital) {
+    const finalEquity = equityCurve.length > 0
+      ? equityCurve[equityCurve.length - 1].equity
+      : initialCapital;
+
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl < 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+    const maxDrawdown = this.calculateMaxDrawdown(equityCurve, initialCapital);
+
+    const returns = [];
+    let previous = initialCapital;
+    for (const point of equityCurve) {
+      if (previous !== 0) returns.push((point.equity - previous) / previous);
+      previous = point.equity;
+    }
+    const meanReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+    const variance = returns.length > 0
+      ? returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / returns.length
+      : 0;
+    const stdReturn = Math.sqrt(variance);
+
+    return {
+      initialCapital,
+      finalEquity,
+      netProfit: finalEquity - initialCapital,
+      totalReturn: initialCapital !== 0 ? (finalEquity - initialCapital) / initialCapital : 0,
+      totalTrades: trades.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: trades.length > 0 ? wins.length / trades.length : 0,
+      avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+      avgLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+      maxDrawdown,
+      sharpe: stdReturn > 0 ? (meanReturn / stdReturn) * Math.sqrt(returns.length) : 0
+    };
+  }
+
+  calculateBinaryStats(equityCurve, settled, allContracts, initialCapital) {
+    const wins = settled.filter(c => c.result === 'win');
+    const losses = settled.filter(c => c.result === 'loss');
+    const ties = settled.filter(c => c.result === 'tie');
+    const decided = wins.length + losses.length;
+    const netPnL = settled.reduce((sum, c) => sum + c.pnl, 0);
+    const totalStaked = settled.reduce((sum, c) => sum + c.stake, 0);
+    const avgPayout = settled.length > 0
+      ? settled.reduce((sum, c) => sum + c.payout, 0) / settled.length
+      : 0;
+
+    // A win returns payout * stake, a loss forfeits the stake: break even at p * payout = (1 - p)
+    const breakevenWinRate = avgPayout > 0 ? 1 / (1 + avgPayout) : 0;
+    const winRate = decided > 0 ? wins.length / decided : 0;
+
+    return {
+      initialCapital,
+      finalBalance: initialCapital + netPnL,
+      netPnL,
+      totalStaked,
+      roi: totalStaked > 0 ? netPnL / totalStaked : 0,
+      totalContracts: settled.length,
+      wins: wins.length,
+      losses: losses.length,
+      ties: ties.length,
+      voided: allContracts.filter(c => c.status === 'void').length,
+      winRate,
+      breakevenWinRate,
+      edge: winRate - breakevenWinRate,
+      avgPayout,
+      maxDrawdown: this.calculateMaxDrawdown(equityCurve, initialCapital)
+    };
+  }
+
+  // Peak-to-trough drawdown over the sampled equity curve
+  calculateMaxDrawdown(equityCurve, initialCapital) {
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    for (const point of equityCurve) {
+      peak = Math.max(peak, point.equity);
+      if (peak > 0) {
+        maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+      }
+    }
+    return maxDrawdown;
+  }
+}
+
+export const backtester = new Backtester();
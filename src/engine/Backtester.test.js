@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../lib/supabaseClient.js', () => ({ supabase: {} }));
+
+const { Backtester } = await import('./Backtester.js');
+
+const START = Date.UTC(2026, 0, 5, 9, 0, 0);
+
+// One tick every 10 s along a sine wave; the symbols differ in level and period
+const makeTicks = (symbol, base, amplitude, period, count = 600) => (
+  Array.from({ length: count }, (_, i) => ({
+    symbol,
+    ts: new Date(START + i * 10000),
+    price: base + amplitude * Math.sin((2 * Math.PI * i) / period)
+  }))
+);
+
+const strategies = [{ name: 'EMA_Cross', params: { fastPeriod: 5, slowPeriod: 20 } }];
+
+const signalsOf = (result, symbol) => result.signals
+  .filter(signal => signal.symbol === symbol)
+  .map(({ side, ts, price }) => ({ side, ts: ts.getTime(), price }));
+
+describe('Backtester', () => {
+  it('keeps strategy state apart per symbol', async () => {
+    const eur = makeTicks('EURUSD', 1.1, 0.01, 60);
+    const btc = makeTicks('BTCUSD', 60000, 900, 97);
+
+    const alone = {
+      EURUSD: await new Backtester().run({ ticks: eur, strategies }),
+      BTCUSD: await new Backtester().run({ ticks: btc, strategies })
+    };
+    const together = await new Backtester().run({ ticks: [...eur, ...btc], strategies });
+
+    ['EURUSD', 'BTCUSD'].forEach(symbol => {
+      expect(signalsOf(alone[symbol], symbol).length).toBeGreaterThan(0);
+      expect(signalsOf(together, symbol)).toEqual(signalsOf(alone[symbol], symbol));
+    });
+  });
+});
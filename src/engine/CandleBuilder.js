@@ -0,0 +1,497 @@
+// Tick-to-candle aggregation shared by the indicator worker and the backtester
+
+export const TIMEFRAME_MS = {
+  '1s': 1000,
+  '5s': 5000,
+  '15s': 15000,
+  '30s': 30000,
+  '1m': 60000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '4h': 14400000,
+  '1d': 86400000,
+};
+
+// Default roll-up chain for multi-timeframe views; each step divides evenly into the next
+export const ROLLUP_TIMEFRAMES = ['5m', '15m', '1h', '4h'];
+
+// Candle options shared by live candles (indicator worker) and backtests, so
+// both build the same candles from the same ticks. Feeds can deliver a tick
+// stamped just before a boundary after the candle has closed; the tolerance
+// lets it amend the closed candle instead of being dropped.
+export const CANDLE_DEFAULTS = {
+  fillGaps: true,
+  maxFillCandles: 1000,
+  lateTickToleranceMs: 2000
+};
+
+export class CandleBuilder {
+  // fillGaps: emit flat candles for intervals without ticks (up to maxFillCandles;
+  // longer gaps are treated as a session break). lateTickToleranceMs: how long
+  // after its close, in feed time, a candle still accepts late ticks.
+  // Unset options come from CANDLE_DEFAULTS.
+  constructor(options = {}) {
+    this.builders = new Map();
+    this.rollups = new Map();
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    const {
+      fillGaps = this.fillGaps ?? CANDLE_DEFAULTS.fillGaps,
+      maxFillCandles = this.maxFillCandles ?? CANDLE_DEFAULTS.maxFillCandles,
+      lateTickToleranceMs = this.lateTickToleranceMs ?? CANDLE_DEFAULTS.lateTickToleranceMs
+    } = options;
+
+    this.fillGaps = fillGaps;
+    this.maxFillCandles = maxFillCandles;
+    this.lateTickToleranceMs = lateTickToleranceMs;
+  }
+
+  // Returns { completed?, filled?, current, isNewCandle } for ticks in order
+  // (after close(), the next tick returns only the gap since the closed candle
+  // in `filled`),
+  // { current, isNewCandle: false, revised: [...] } when a late tick amends
+  // closed candles, and { current, isNewCandle: false, dropped: true } when it
+  // is past the tolerance.
+  build(symbol, timeframe, tick) {
+    const key = `${symbol}_${timeframe}`;
+
+    if (!this.builders.has(key)) {
+      this.builders.set(key, {
+        currentCandle: null,
+        timeframeMs: this.getTimeframeMs(timeframe),
+        firstTs: null,
+        lastTs: null,
+        latestTs: -Infinity,
+        recent: [],
+        lastClosed: null // candle closed by close(), until the next tick
+      });
+    }
+
+    const builder = this.builders.get(key);
+    const candleStart = this.getCandleStart(tick.ts, builder.timeframeMs);
+    const ts = tick.ts.getTime();
+
+    if (builder.currentCandle && candleStart.getTime() < builder.currentCandle.ts_open.getTime()) {
+      return this.reviseClosedCandle(builder, tick, candleStart);
+    }
+    if (builder.lastClosed && candleStart.getTime() < builder.lastClosed.ts_close.getTime()) {
+      return this.reviseClosedCandle(builder, tick, candleStart);
+    }
+
+    builder.latestTs = Math.max(builder.latestTs, ts);
+
+    if (!builder.currentCandle || builder.currentCandle.ts_open.getTime() !== candleStart.getTime()) {
+      // Start new candle
+      if (builder.currentCandle) {
+        // Return completed candle
+        const completedCandle = { ...builder.currentCandle };
+        this.remember(builder, completedCandle, builder.firstTs, builder.lastTs);
+        const filled = this.fillGap(builder, completedCandle, candleStart);
+
+        builder.currentCandle = this.createNewCandle(tick, candleStart, builder.timeframeMs);
+        builder.firstTs = ts;
+        builder.lastTs = ts;
+        this.pruneRecent(builder);
+
+        const result = {
+          completed: completedCandle,
+          current: builder.currentCandle,
+          isNewCandle: true
+        };
+        if (filled.length > 0) result.filled = filled;
+        return result;
+      } else {
+        // First candle, or the first after close()
+        const filled = builder.lastClosed ? this.fillGap(builder, builder.lastClosed, candleStart) : [];
+        builder.lastClosed = null;
+        builder.currentCandle = this.createNewCandle(tick, candleStart, builder.timeframeMs);
+        builder.firstTs = ts;
+        builder.lastTs = ts;
+        this.pruneRecent(builder);
+
+        const result = {
+          current: builder.currentCandle,
+          isNewCandle: true
+        };
+        if (filled.length > 0) result.filled = filled;
+        return result;
+      }
+    } else {
+      // Update existing candle; an out-of-order tick only widens the range
+      if (ts >= builder.lastTs) {
+        this.updateCandle(builder.currentCandle, tick);
+        builder.lastTs = ts;
+      } else {
+        const times = { firstTs: builder.firstTs, lastTs: builder.lastTs };
+        this.applyTick(builder.currentCandle, times, tick);
+        builder.firstTs = times.firstTs;
+      }
+      return {
+        current: builder.currentCandle,
+        isNewCandle: false
+      };
+    }
+  }
+
+  // Flat candles at the previous close for every interval skipped before nextStart
+  fillGap(builder, previous, nextStart) {
+    const missing = (nextStart.getTime() - previous.ts_close.getTime()) / builder.timeframeMs;
+    if (!this.fillGaps || missing < 1 || missing > this.maxFillCandles) return [];
+
+    const filled = [];
+    for (let i = 0; i < missing; i++) {
+      const open = new Date(previous.ts_close.getTime() + i * builder.timeframeMs);
+      const candle = {
+        symbol: previous.symbol,
+        frame: previous.frame,
+        open: previous.close,
+        high: previous.close,
+        low: previous.close,
+        close: previous.close,
+        ts_open: open,
+        ts_close: new Date(open.getTime() + builder.timeframeMs),
+        volume: 0,
+        tickCount: 0,
+        filled: true
+      };
+      this.remember(builder, { ...candle }, null, null);
+      filled.push(candle);
+    }
+    return filled;
+  }
+
+  // Closed candles stay revisable while within the late-tick tolerance
+  remember(builder, candle, firstTs, lastTs) {
+    if (this.lateTickToleranceMs <= 0) return;
+    builder.recent.push({ candle, firstTs, lastTs });
+  }
+
+  pruneRecent(builder) {
+    const cutoff = builder.latestTs - this.lateTickToleranceMs;
+    while (builder.recent.length > 0 && builder.recent[0].candle.ts_close.getTime() < cutoff) {
+      builder.recent.shift();
+    }
+  }
+
+  reviseClosedCandle(builder, tick, candleStart) {
+    const index = builder.recent.findIndex(entry => entry.candle.ts_open.getTime() === candleStart.getTime());
+    const entry = builder.recent[index];
+
+    if (!entry || entry.candle.ts_close.getTime() + this.lateTickToleranceMs < builder.latestTs) {
+      return { current: builder.currentCandle, isNewCandle: false, dropped: true };
+    }
+
+    const { candle } = entry;
+    if (candle.filled) {
+      // First real tick in an interval that was gap-filled
+      delete candle.filled;
+      candle.open = tick.price;
+      candle.high = tick.price;
+      candle.low = tick.price;
+      candle.close = tick.price;
+      candle.volume = 1;
+      candle.tickCount = 1;
+      entry.firstTs = tick.ts.getTime();
+      entry.lastTs = tick.ts.getTime();
+    } else {
+      this.applyTick(candle, entry, tick);
+    }
+
+    const revised = [{ ...candle }];
+
+    // Fill candles that followed carry the new close forward
+    for (let i = index + 1; i < builder.recent.length && builder.recent[i].candle.filled; i++) {
+      const fill = builder.recent[i].candle;
+      fill.open = candle.close;
+      fill.high = candle.close;
+      fill.low = candle.close;
+      fill.close = candle.close;
+      revised.push({ ...fill });
+    }
+
+    return { current: builder.currentCandle, isNewCandle: false, revised };
+  }
+
+  // Applies a tick that may be older than the candle's latest; times holds the
+  // candle's first and last tick timestamps and is updated in place
+  applyTick(candle, times, tick) {
+    const ts = tick.ts.getTime();
+    candle.high = Math.max(candle.high, tick.price);
+    candle.low = Math.min(candle.low, tick.price);
+    candle.volume += 1;
+    candle.tickCount += 1;
+
+    if (ts < times.firstTs) {
+      candle.open = tick.price;
+      times.firstTs = ts;
+    }
+    if (ts >= times.lastTs) {
+      candle.close = tick.price;
+      times.lastTs = ts;
+    }
+  }
+
+  // Closes the current candle once its interval has ended by `time` (e.g. at
+  // a scheduled boundary) instead of waiting for the next tick. Returns
+  // { completed, current: null, isNewCandle: false } and, with a roll-up
+  // chain, `higher` as in buildWithRollUp; { current } when nothing closed.
+  close(symbol, timeframe, time, higherTimeframes = []) {
+    const builder = this.builders.get(`${symbol}_${timeframe}`);
+    const closeTs = time instanceof Date ? time.getTime() : time;
+
+    if (!builder || !builder.currentCandle || builder.currentCandle.ts_close.getTime() > closeTs) {
+      return { current: builder ? builder.currentCandle : null, isNewCandle: false };
+    }
+    if (higherTimeframes.length > 0) {
+      this.validateChain(timeframe, higherTimeframes);
+    }
+
+    const completed = { ...builder.currentCandle };
+    this.remember(builder, completed, builder.firstTs, builder.lastTs);
+    builder.lastClosed = completed;
+    builder.currentCandle = null;
+
+    const result = { completed, current: null, isNewCandle: false };
+    if (higherTimeframes.length > 0) {
+      result.higher = this.rollUp(symbol, [completed], higherTimeframes);
+    }
+    return result;
+  }
+
+  // Builds `timeframe` from ticks, then rolls each completed candle up the
+  // chain of higher timeframes so they always agree with the base candles.
+  // result.higher[tf] has the same shape as build() for every timeframe touched,
+  // including `revised` when a late tick amended a higher candle already closed.
+  buildWithRollUp(symbol, timeframe, tick, higherTimeframes = ROLLUP_TIMEFRAMES) {
+    this.validateChain(timeframe, higherTimeframes);
+
+    const result = this.build(symbol, timeframe, tick);
+    result.higher = result.revised
+      ? this.reviseRollUp(symbol, result.revised, higherTimeframes)
+      : this.rollUp(symbol, this.closedCandles(result), higherTimeframes);
+    return result;
+  }
+
+  // Closed candles of a build() result in order; gap fills can close several at once
+  closedCandles(result) {
+    return [...(result.completed ? [result.completed] : []), ...(result.filled || [])];
+  }
+
+  // Higher candles made only of fills come back in `filled`, like build()
+  rollUp(symbol, closedCandles, higherTimeframes) {
+    const higher = {};
+    let closed = closedCandles;
+    for (const higherTimeframe of higherTimeframes) {
+      if (closed.length === 0) break;
+
+      const completedHigher = [];
+      let rolled;
+      closed.forEach(candle => {
+        rolled = this.aggregate(symbol, higherTimeframe, candle);
+        if (rolled.completed) completedHigher.push(rolled.completed);
+      });
+
+      const [first, ...rest] = completedHigher;
+      higher[higherTimeframe] = { current: rolled.current, isNewCandle: rolled.isNewCandle };
+      if (first) higher[higherTimeframe].completed = first;
+      if (rest.length > 0) higher[higherTimeframe].filled = rest;
+      closed = completedHigher;
+    }
+
+    return higher;
+  }
+
+  // Refolds revised lower candles into the higher candles containing them. The
+  // still-forming higher candle is updated in place; closed ones come back in
+  // `revised` and are themselves refolded into the next timeframe up.
+  reviseRollUp(symbol, revisedCandles, higherTimeframes) {
+    const higher = {};
+    let revised = revisedCandles;
+    for (const higherTimeframe of higherTimeframes) {
+      const builder = this.rollups.get(`${symbol}_${higherTimeframe}`);
+      if (!builder || revised.length === 0) break;
+
+      const revisedHigher = new Map();
+      revised.forEach(candle => {
+        const start = this.getCandleStart(candle.ts_open, builder.timeframeMs).getTime();
+        if (builder.currentCandle && builder.currentCandle.ts_open.getTime() === start) {
+          this.refold(builder.currentCandle, builder.parts, candle);
+          return;
+        }
+
+        const entry = builder.recent.find(recent => recent.candle.ts_open.getTime() === start);
+        if (entry && this.refold(entry.candle, entry.parts, candle)) {
+          revisedHigher.set(start, { ...entry.candle });
+        }
+      });
+
+      revised = [...revisedHigher.values()];
+      higher[higherTimeframe] = { current: builder.currentCandle, isNewCandle: false };
+      if (revised.length > 0) higher[higherTimeframe].revised = revised;
+    }
+
+    return higher;
+  }
+
+  // Swaps a lower candle in `parts` for its revision and recomputes the higher
+  // candle from them; false when the lower candle was never folded in
+  refold(higherCandle, parts, candle) {
+    const index = parts.findIndex(part => part.ts_open.getTime() === candle.ts_open.getTime());
+    if (index === -1) return false;
+
+    parts[index] = { ...candle };
+    higherCandle.open = parts[0].open;
+    higherCandle.high = Math.max(...parts.map(part => part.high));
+    higherCandle.low = Math.min(...parts.map(part => part.low));
+    higherCandle.close = parts[parts.length - 1].close;
+    higherCandle.volume = parts.reduce((sum, part) => sum + part.volume, 0);
+    higherCandle.tickCount = parts.reduce((sum, part) => sum + part.tickCount, 0);
+    if (parts.every(part => part.filled)) {
+      higherCandle.filled = true;
+    } else {
+      delete higherCandle.filled;
+    }
+    return true;
+  }
+
+  validateChain(timeframe, higherTimeframes) {
+    let previousMs = this.getTimeframeMs(timeframe);
+    higherTimeframes.forEach(higherTimeframe => {
+      const ms = TIMEFRAME_MS[higherTimeframe];
+      if (!ms || ms <= previousMs || ms % previousMs !== 0) {
+        throw new Error(`Cannot roll ${this.getMsToTimeframe(previousMs)} candles up into ${higherTimeframe}`);
+      }
+      previousMs = ms;
+    });
+  }
+
+  // Folds a completed lower-timeframe candle into `timeframe`. The higher
+  // candle completes as soon as the candle ending its interval is folded in,
+  // or when a later interval starts without it (no ticks at the end). While
+  // late ticks are accepted, the lower candles of each higher candle are kept
+  // (`parts`) so a revision can be refolded.
+  aggregate(symbol, timeframe, candle) {
+    const key = `${symbol}_${timeframe}`;
+
+    if (!this.rollups.has(key)) {
+      this.rollups.set(key, {
+        currentCandle: null,
+        parts: [],
+        recent: [], // closed higher candles with their parts, newest last
+        timeframeMs: this.getTimeframeMs(timeframe)
+      });
+    }
+
+    const builder = this.rollups.get(key);
+    const candleStart = this.getCandleStart(candle.ts_open, builder.timeframeMs);
+    let completed;
+    let isNewCandle = false;
+
+    if (builder.currentCandle && builder.currentCandle.ts_open.getTime() !== candleStart.getTime()) {
+      completed = builder.currentCandle;
+      this.rememberRollUp(builder, completed);
+      builder.currentCandle = null;
+    }
+
+    if (!builder.currentCandle) {
+      builder.currentCandle = {
+        symbol,
+        frame: timeframe,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        ts_open: candleStart,
+        ts_close: new Date(candleStart.getTime() + builder.timeframeMs),
+        volume: candle.volume,
+        tickCount: candle.tickCount
+      };
+      if (candle.filled) builder.currentCandle.filled = true;
+      builder.parts = [];
+      isNewCandle = true;
+    } else {
+      const current = builder.currentCandle;
+      if (!candle.filled) delete current.filled;
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.volume += candle.volume;
+      current.tickCount += candle.tickCount;
+    }
+    if (this.lateTickToleranceMs > 0) builder.parts.push({ ...candle });
+
+    const current = builder.currentCandle;
+    if (candle.ts_close.getTime() >= current.ts_close.getTime()) {
+      this.rememberRollUp(builder, current);
+      builder.currentCandle = null;
+      return { completed: { ...current }, current: null, isNewCandle };
+    }
+
+    return completed
+      ? { completed: { ...completed }, current, isNewCandle }
+      : { current, isNewCandle };
+  }
+
+  // Keeps enough closed higher candles to cover the late-tick tolerance
+  rememberRollUp(builder, candle) {
+    if (this.lateTickToleranceMs <= 0) return;
+
+    builder.recent.push({ candle: { ...candle }, parts: builder.parts });
+    builder.parts = [];
+    const keep = Math.ceil(this.lateTickToleranceMs / builder.timeframeMs) + 1;
+    if (builder.recent.length > keep) builder.recent.splice(0, builder.recent.length - keep);
+  }
+
+  createNewCandle(tick, candleStart, timeframeMs) {
+    return {
+      symbol: tick.symbol,
+      frame: this.getMsToTimeframe(timeframeMs),
+      open: tick.price,
+      high: tick.price,
+      low: tick.price,
+      close: tick.price,
+      ts_open: candleStart,
+      ts_close: new Date(candleStart.getTime() + timeframeMs),
+      volume: 1,
+      tickCount: 1
+    };
+  }
+
+  updateCandle(candle, tick) {
+    candle.high = Math.max(candle.high, tick.price);
+    candle.low = Math.min(candle.low, tick.price);
+    candle.close = tick.price;
+    candle.volume += 1;
+    candle.tickCount += 1;
+  }
+
+  getCandleStart(timestamp, timeframeMs) {
+    const ts = timestamp.getTime();
+    const remainder = ts % timeframeMs;
+    return new Date(ts - remainder);
+  }
+
+  getTimeframeMs(timeframe) {
+    return TIMEFRAME_MS[timeframe] || 60000;
+  }
+
+  getMsToTimeframe(ms) {
+    const match = Object.entries(TIMEFRAME_MS).find(([, value]) => value === ms);
+    return match ? match[0] : '1m';
+  }
+
+  getCurrentCandle(symbol, timeframe) {
+    const key = `${symbol}_${timeframe}`;
+    const builder = this.builders.get(key) || this.rollups.get(key);
+    return builder ? builder.currentCandle : null;
+  }
+
+  reset() {
+    this.builders.clear();
+    this.rollups.clear();
+  }
+}
@@ -0,0 +1,251 @@
+import { ATR } from './indicators/index.js';
+
+// Derived bar series built alongside time candles: Heikin-Ashi, Renko and
+// range bars. Every builder has the same interface so the worker and
+// strategies can treat them alike:
+//   onCandle(candle) -> bars completed by a closed time candle
+//   onTick(tick)     -> bars completed by a tick
+// Bars use the candle shape (open/high/low/close, ts_open/ts_close).
+
+export const SERIES_TYPES = ['heikinAshi', 'renko', 'rangeBars'];
+
+export class HeikinAshiSeries {
+  constructor() {
+    this.type = 'heikinAshi';
+    this.previous = null;
+  }
+
+  // The Heikin-Ashi bar `candle` would produce, without advancing the series
+  // (used for the still-forming candle)
+  peek(candle) {
+    const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+    const open = this.previous
+      ? (this.previous.open + this.previous.close) / 2
+      : (candle.open + candle.close) / 2;
+
+    return {
+      ...candle,
+      open,
+      high: Math.max(candle.high, open, close),
+      low: Math.min(candle.low, open, close),
+      close
+    };
+  }
+
+  onCandle(candle) {
+    const bar = this.peek(candle);
+    this.previous = { open: bar.open, close: bar.close };
+    return [bar];
+  }
+
+  onTick() {
+    return [];
+  }
+
+  serialize() {
+    return { type: this.type, previous: this.previous };
+  }
+
+  restore(snapshot) {
+    this.previous = snapshot.previous;
+    return this;
+  }
+
+  reset() {
+    this.previous = null;
+  }
+}
+
+// Box size is either fixed (boxSize, in price) or atrMultiple x ATR(atrPeriod)
+// of the time candles, re-read whenever a brick is considered. In ATR mode no
+// bricks form until the ATR is ready.
+export class RenkoSeries {
+  constructor(options = {}) {
+    const { boxSize = null, atrMultiple = null, atrPeriod = 14 } = options;
+
+    if (!(boxSize > 0) && !(atrMultiple > 0)) {
+      throw new Error('Renko needs a positive boxSize or atrMultiple');
+    }
+
+    this.type = 'renko';
+    this.boxSize = boxSize;
+    this.atrMultiple = atrMultiple;
+    this.atr = atrMultiple > 0 ? new ATR(atrPeriod) : null;
+    this.top = null;
+    this.bottom = null;
+    this.lastTs = null;
+  }
+
+  getBoxSize() {
+    if (!this.atr) return this.boxSize;
+    const atr = this.atr.getValue();
+    return atr ? atr * this.atrMultiple : null;
+  }
+
+  onCandle(candle) {
+    if (this.atr) this.atr.update(candle);
+    return [];
+  }
+
+  onTick(tick) {
+    const { price } = tick;
+    if (this.top === null) {
+      this.top = price;
+      this.bottom = price;
+      this.lastTs = tick.ts;
+      return [];
+    }
+
+    const box = this.getBoxSize();
+    if (!box) return [];
+
+    // A brick forms once price clears the last brick by a full box; a reversal
+    // therefore needs two boxes from the last close
+    const bricks = [];
+    const brick = (open, close) => {
+      bricks.push({
+        symbol: tick.symbol,
+        frame: 'renko',
+        open,
+        high: Math.max(open, close),
+        low: Math.min(open, close),
+        close,
+        ts_open: this.lastTs,
+        ts_close: tick.ts,
+        boxSize: box
+      });
+    };
+
+    while (price >= this.top + box) {
+      brick(this.top, this.top + box);
+      this.bottom = this.top;
+      this.top += box;
+    }
+    while (price <= this.bottom - box) {
+      brick(this.bottom, this.bottom - box);
+      this.top = this.bottom;
+      this.bottom -= box;
+    }
+
+    if (bricks.length > 0) this.lastTs = tick.ts;
+    return bricks;
+  }
+
+  serialize() {
+    return {
+      type: this.type,
+      boxSize: this.boxSize,
+      atrMultiple: this.atrMultiple,
+      atr: this.atr ? this.atr.serialize() : null,
+      top: this.top,
+      bottom: this.bottom,
+      lastTs: this.lastTs
+    };
+  }
+
+  restore(snapshot) {
+    if (this.atr) this.atr.restore(snapshot.atr);
+    this.top = snapshot.top;
+    this.bottom = snapshot.bottom;
+    this.lastTs = snapshot.lastTs === null ? null : new Date(snapshot.lastTs);
+    return this;
+  }
+
+  reset() {
+    if (this.atr) this.atr.reset();
+    this.top = null;
+    this.bottom = null;
+    this.lastTs = null;
+  }
+}
+
+// Bars that close once their high-low span reaches `range`. A jump of several
+// ranges produces several bars at the boundary prices.
+export class RangeBarSeries {
+  constructor(options = {}) {
+    const { range } = options;
+    if (!(range > 0)) {
+      throw new Error('Range bars need a positive range');
+    }
+
+    this.type = 'rangeBars';
+    this.range = range;
+    this.bar = null;
+  }
+
+  startBar(tick, price) {
+    this.bar = {
+      symbol: tick.symbol,
+      frame: 'range',
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      ts_open: tick.ts,
+      ts_close: tick.ts,
+      volume: 0,
+      tickCount: 0
+    };
+  }
+
+  onCandle() {
+    return [];
+  }
+
+  onTick(tick) {
+    const { price } = tick;
+    const bars = [];
+
+    if (!this.bar) this.startBar(tick, price);
+
+    while (price > this.bar.low + this.range || price < this.bar.high - this.range) {
+      const up = price > this.bar.low + this.range;
+      const boundary = up ? this.bar.low + this.range : this.bar.high - this.range;
+      const bar = this.bar;
+      bar.high = Math.max(bar.high, boundary);
+      bar.low = Math.min(bar.low, boundary);
+      bar.close = boundary;
+      bar.ts_close = tick.ts;
+      bars.push(bar);
+      this.startBar(tick, boundary);
+    }
+
+    const bar = this.bar;
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    bar.close = price;
+    bar.ts_close = tick.ts;
+    bar.volume += 1;
+    bar.tickCount += 1;
+
+    return bars;
+  }
+
+  serialize() {
+    return { type: this.type, range: this.range, bar: this.bar };
+  }
+
+  restore(snapshot) {
+    this.bar = snapshot.bar
+      ? { ...snapshot.bar, ts_open: new Date(snapshot.bar.ts_open), ts_close: new Date(snapshot.bar.ts_close) }
+      : null;
+    return this;
+  }
+
+  reset() {
+    this.bar = null;
+  }
+}
+
+export const createSeries = (type, options = {}) => {
+  switch (type) {
+    case 'heikinAshi':
+      return new HeikinAshiSeries();
+    case 'renko':
+      return new RenkoSeries(options);
+    case 'rangeBars':
+      return new RangeBarSeries(options);
+    default:
+      throw new Error(`Unknown series type: ${type}`);
+  }
+};
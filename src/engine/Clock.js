@@ -0,0 +1,182 @@
+// Clock abstraction shared by Scheduler, realtime clients and brokers.
+// Every clock exposes now() in epoch ms, date(), and the four timer functions,
+// so code written against a clock runs unchanged in real time or in replay.
+
+// Wall-clock time and native timers
+export class RealClock {
+  now() {
+    return Date.now();
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    return setTimeout(callback, delay, ...args);
+  }
+
+  clearTimeout(timerId) {
+    clearTimeout(timerId);
+  }
+
+  setInterval(callback, interval, ...args) {
+    return setInterval(callback, interval, ...args);
+  }
+
+  clearInterval(timerId) {
+    clearInterval(timerId);
+  }
+}
+
+// Another clock shifted by a measured offset, e.g. local time synced to server time.
+// Timers run on the base clock; only the reported time is shifted.
+export class OffsetClock {
+  constructor(base = realClock, offset = 0) {
+    this.base = base;
+    this.offset = offset;
+  }
+
+  setOffset(offset) {
+    this.offset = offset;
+  }
+
+  getOffset() {
+    return this.offset;
+  }
+
+  now() {
+    return this.base.now() + this.offset;
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    return this.base.setTimeout(callback, delay, ...args);
+  }
+
+  clearTimeout(timerId) {
+    this.base.clearTimeout(timerId);
+  }
+
+  setInterval(callback, interval, ...args) {
+    return this.base.setInterval(callback, interval, ...args);
+  }
+
+  clearInterval(timerId) {
+    this.base.clearInterval(timerId);
+  }
+}
+
+// Manually advanced clock for tests and replays. Timers fire synchronously,
+// in due-time order (ties in creation order), while advance()/advanceTo() run.
+export class VirtualClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime instanceof Date ? startTime.getTime() : startTime;
+    this.timers = [];
+    this.timerIdCounter = 1;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  date() {
+    return new Date(this.currentTime);
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    const id = this.timerIdCounter++;
+    this.timers.push({
+      id,
+      time: this.currentTime + Math.max(0, delay || 0),
+      callback,
+      args,
+      interval: null
+    });
+    return id;
+  }
+
+  clearTimeout(timerId) {
+    this.timers = this.timers.filter(timer => timer.id !== timerId);
+  }
+
+  setInterval(callback, interval, ...args) {
+    const id = this.timerIdCounter++;
+    const period = Math.max(1, interval || 0);
+    this.timers.push({ id, time: this.currentTime + period, callback, args, interval: period });
+    return id;
+  }
+
+  clearInterval(timerId) {
+    this.clearTimeout(timerId);
+  }
+
+  getPendingTimerCount() {
+    return this.timers.length;
+  }
+
+  getNextTimerTime() {
+    const next = this.findNextTimer();
+    return next ? next.time : null;
+  }
+
+  findNextTimer() {
+    let next = null;
+    for (const timer of this.timers) {
+      if (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  // Advance to an absolute time, firing every timer due on the way. Returns the number fired.
+  advanceTo(time) {
+    const target = time instanceof Date ? time.getTime() : time;
+    if (target < this.currentTime) {
+      throw new Error('VirtualClock cannot move backwards');
+    }
+
+    let fired = 0;
+    let next = this.findNextTimer();
+
+    while (next && next.time <= target) {
+      this.currentTime = next.time;
+
+      if (next.interval !== null) {
+        next.time += next.interval;
+      } else {
+        this.timers = this.timers.filter(timer => timer !== next);
+      }
+
+      try {
+        next.callback(...next.args);
+      } catch (error) {
+        console.error('Error in virtual timer callback:', error);
+      }
+
+      fired++;
+      next = this.findNextTimer();
+    }
+
+    this.currentTime = target;
+    return fired;
+  }
+
+  advance(ms) {
+    return this.advanceTo(this.currentTime + ms);
+  }
+
+  // Fire the next pending timer, jumping time forward to it
+  runNext() {
+    const next = this.findNextTimer();
+    if (!next) return false;
+    this.advanceTo(next.time);
+    return true;
+  }
+}
+
+export const realClock = new RealClock();
@@ -0,0 +1,298 @@
+import { IndicatorWorker, dispatchIndicatorMessage } from './IndicatorWorker.js';
+import { realClock } from './Clock.js';
+
+const defaultCreateWorker = () => (
+  new Worker(new URL('../workers/indicators.worker.js', import.meta.url), { type: 'module' })
+);
+
+// Promise-based client for indicators.worker.js. Replies are matched to
+// requests by id and every request has a timeout. If the worker crashes it is
+// restarted and the ops that define its state (indicator inits, candle config,
+// chart series) are replayed; after maxRestarts, or when Web Workers are not
+// available at all, requests run on the main thread instead.
+export class IndicatorClient {
+  constructor(options = {}) {
+    const {
+      timeoutMs = 5000,
+      maxRestarts = 3,
+      clock = realClock,
+      createWorker = defaultCreateWorker
+    } = options;
+
+    this.timeoutMs = timeoutMs;
+    this.maxRestarts = maxRestarts;
+    this.clock = clock;
+    this.createWorker = createWorker;
+    this.worker = null;
+    this.local = null;
+    this.pending = new Map();
+    this.messageIdCounter = 1;
+    this.restarts = 0;
+    // key -> { type, data }, in the order the state was built up
+    this.replayLog = new Map();
+    // symbol -> { ring, cursors } for TickRingBuffers fed by the socket client
+    this.tickRings = new Map();
+  }
+
+  start() {
+    if (this.worker || this.local) return;
+
+    if (typeof Worker === 'undefined') {
+      this.useLocal();
+      return;
+    }
+
+    try {
+      this.spawn();
+    } catch (error) {
+      console.warn('Indicator worker unavailable, running on main thread:', error.message);
+      this.useLocal();
+    }
+  }
+
+  spawn() {
+    const worker = this.createWorker();
+
+    worker.onmessage = (e) => {
+      const { id, result } = e.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      this.pending.delete(id);
+      this.clock.clearTimeout(request.timer);
+      if (result && result.success === false) {
+        request.reject(new Error(result.error));
+      } else {
+        request.resolve(result);
+      }
+    };
+
+    worker.onerror = (error) => {
+      if (error.preventDefault) error.preventDefault();
+      this.handleCrash(error);
+    };
+
+    this.worker = worker;
+  }
+
+  useLocal() {
+    this.local = new IndicatorWorker();
+    this.replayLog.forEach(({ type, data }) => {
+      try {
+        dispatchIndicatorMessage(this.local, type, data);
+      } catch (error) {
+        console.error(`Error replaying ${type} on main thread:`, error);
+      }
+    });
+  }
+
+  handleCrash(error) {
+    console.error('Indicator worker crashed:', error.message || error);
+
+    const crashed = this.worker;
+    this.worker = null;
+    if (crashed) crashed.terminate();
+
+    this.pending.forEach(request => {
+      this.clock.clearTimeout(request.timer);
+      request.reject(new Error('Indicator worker crashed'));
+    });
+    this.pending.clear();
+
+    if (this.restarts >= this.maxRestarts) {
+      console.warn('Indicator worker restart limit reached, running on main thread');
+      this.useLocal();
+      return;
+    }
+
+    this.restarts++;
+    this.spawn();
+    // Posted before any new request, so the worker is rebuilt first
+    this.replayLog.forEach(({ type, data }) => {
+      this.send(type, data).catch(replayError => {
+        console.error(`Error replaying ${type} after restart:`, replayError);
+      });
+    });
+  }
+
+  send(type, data, timeoutMs = this.timeoutMs, transfer = []) {
+    const id = this.messageIdCounter++;
+
+    return new Promise((resolve, reject) => {
+      const timer = this.clock.setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Indicator worker request ${type} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ id, type, data }, transfer);
+    });
+  }
+
+  async request(type, data = {}, options = {}) {
+    this.start();
+    this.record(type, data);
+
+    if (this.local) {
+      const result = dispatchIndicatorMessage(this.local, type, data);
+      if (result && result.success === false) {
+        throw new Error(result.error);
+      }
+      return result;
+    }
+
+    return this.send(type, data, options.timeoutMs ?? this.timeoutMs, options.transfer);
+  }
+
+  // Remember state-defining ops so a restarted worker can be rebuilt
+  record(type, data) {
+    const remember = (key, op) => {
+      this.replayLog.delete(key);
+      this.replayLog.set(key, op);
+    };
+
+    switch (type) {
+      case 'init':
+        remember(`indicator:${data.id}`, { type, data });
+        break;
+      case 'configureCandles':
+        remember('configureCandles', { type, data });
+        break;
+      case 'attachTicks':
+        remember(`ticks:${data.descriptor.symbol}`, { type, data });
+        break;
+      case 'addSeries':
+        remember(`series:${data.id}`, { type, data });
+        break;
+      case 'removeSeries':
+        this.replayLog.delete(`series:${data.id}`);
+        break;
+      case 'batch':
+        data.operations
+          .filter(operation => operation.type === 'initIndicator')
+          .forEach(({ id, indicatorType, params }) => {
+            remember(`indicator:${id}`, { type: 'init', data: { id, indicatorType, params } });
+          });
+        break;
+      case 'cleanup':
+        this.replayLog.clear();
+        this.tickRings.clear();
+        break;
+      default:
+        break;
+    }
+  }
+
+  initIndicator(id, indicatorType, params = {}) {
+    return this.request('init', { id, indicatorType, params });
+  }
+
+  updateIndicator(id, data) {
+    return this.request('update', { id, data });
+  }
+
+  buildCandle(symbol, timeframe, tick, higherTimeframes) {
+    return this.request('buildCandle', { symbol, timeframe, tick, higherTimeframes });
+  }
+
+  closeCandle(symbol, timeframe, time, higherTimeframes) {
+    return this.request('closeCandle', { symbol, timeframe, time, higherTimeframes });
+  }
+
+  configureCandles(options) {
+    return this.request('configureCandles', { options });
+  }
+
+  // Shared rings are read by the worker in place; otherwise each drain copies
+  // the new ticks into column arrays and transfers them. Drains start after
+  // sequence `from`, by default the ticks written so far.
+  attachTickBuffer(ring, from = ring.getSequence()) {
+    this.tickRings.set(ring.symbol, { ring, from, cursors: new Map() });
+    if (!ring.shared) {
+      return Promise.resolve({ success: true, symbol: ring.symbol, shared: false });
+    }
+    return this.request('attachTicks', { descriptor: ring.describe(), from });
+  }
+
+  // until: last sequence to drain (default: everything written so far)
+  async drainTicks(symbol, timeframe, higherTimeframes, until) {
+    const entry = this.tickRings.get(symbol);
+    if (!entry) {
+      throw new Error(`No tick buffer attached for ${symbol}`);
+    }
+
+    if (entry.ring.shared) {
+      const result = await this.request('drainTicks', { symbol, timeframe, higherTimeframes, until });
+      this.recordTickCursor(symbol, result.cursor);
+      return result;
+    }
+
+    const cursorKey = `${symbol}_${timeframe}`;
+    const cursors = entry.cursors;
+    const { ts, price, from, cursor, skipped } = entry.ring.copySince(cursors.get(cursorKey) ?? entry.from, until);
+    cursors.set(cursorKey, cursor);
+
+    const result = await this.request(
+      'tickColumns',
+      { symbol, timeframe, ts, price, higherTimeframes, from },
+      { transfer: [ts.buffer, price.buffer] }
+    );
+    return { ...result, cursor, skipped };
+  }
+
+  // A restarted worker re-attaches a shared ring from the last drained tick
+  // rather than from where it was first attached
+  recordTickCursor(symbol, cursor) {
+    const replay = this.replayLog.get(`ticks:${symbol}`);
+    if (replay) replay.data = { ...replay.data, from: cursor };
+  }
+
+  addSeries(id, config) {
+    return this.request('addSeries', { id, config });
+  }
+
+  removeSeries(id) {
+    return this.request('removeSeries', { id });
+  }
+
+  batch(operations) {
+    return this.request('batch', { operations });
+  }
+
+  resetIndicator(id) {
+    return this.request('reset', { id });
+  }
+
+  serializeIndicator(id) {
+    return this.request('serialize', { id });
+  }
+
+  restoreIndicator(id, snapshot) {
+    return this.request('restore', { id, snapshot });
+  }
+
+  cleanup() {
+    return this.request('cleanup');
+  }
+
+  isLocal() {
+    return this.local !== null;
+  }
+
+  terminate() {
+    this.pending.forEach(request => {
+      this.clock.clearTimeout(request.timer);
+      request.reject(new Error('Indicator client terminated'));
+    });
+    this.pending.clear();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.local = null;
+    this.restarts = 0;
+  }
+}
+
+export const indicatorClient = new IndicatorClient();
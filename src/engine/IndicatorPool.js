@@ -0,0 +1,289 @@
+import { IndicatorClient } from './IndicatorClient.js';
+import { realClock } from './Clock.js';
+
+// Stable string hash (FNV-1a) so a symbol always lands on the same shard
+const hashSymbol = (symbol) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < symbol.length; i++) {
+    hash ^= symbol.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Shards symbols across several indicator workers. Per-symbol work (candles,
+// indicators, series) always runs on the symbol's shard; operations are queued
+// and sent in `batch` messages, one batch in flight per shard.
+//
+// Back-pressure: when a shard's queue reaches maxQueue, new operations for it
+// are rejected and onBackPressure handlers hear { shard, backedUp: true }; they
+// hear backedUp: false once the queue drains below half of that.
+export class IndicatorPool {
+  constructor(options = {}) {
+    const hardware = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+      ? navigator.hardwareConcurrency
+      : 2;
+    const {
+      size = Math.max(1, Math.min(4, hardware - 1)),
+      batchSize = 50,
+      flushIntervalMs = 16,
+      maxQueue = 2000,
+      statsWindowMs = 5000,
+      clock = realClock,
+      createClient = () => new IndicatorClient({ clock })
+    } = options;
+
+    this.size = size;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxQueue = maxQueue;
+    this.statsWindowMs = statsWindowMs;
+    this.clock = clock;
+    this.createClient = createClient;
+    this.shards = [];
+    this.indicatorShards = new Map();
+    this.seriesShards = new Map();
+    this.sharedTickSymbols = new Set();
+    this.pressureHandlers = [];
+    this.operationCounter = 1;
+  }
+
+  start() {
+    if (this.shards.length > 0) return;
+
+    for (let index = 0; index < this.size; index++) {
+      this.shards.push({
+        index,
+        client: this.createClient(index),
+        symbols: new Set(),
+        queue: [],
+        inFlight: false,
+        flushTimer: null,
+        backedUp: false,
+        stats: {
+          processed: 0,
+          failed: 0,
+          rejected: 0,
+          batches: 0,
+          totalLatencyMs: 0,
+          maxQueueLength: 0,
+          recent: [] // [{ ts, count }] of completed batches inside statsWindowMs
+        }
+      });
+    }
+  }
+
+  shardFor(symbol) {
+    this.start();
+    const shard = this.shards[hashSymbol(symbol) % this.size];
+    shard.symbols.add(symbol);
+    return shard;
+  }
+
+  onBackPressure(handler) {
+    this.pressureHandlers.push(handler);
+    return () => {
+      const index = this.pressureHandlers.indexOf(handler);
+      if (index > -1) {
+        this.pressureHandlers.splice(index, 1);
+      }
+    };
+  }
+
+  emitPressure(shard) {
+    this.pressureHandlers.forEach(handler => {
+      try {
+        handler({ shard: shard.index, backedUp: shard.backedUp, queued: shard.queue.length });
+      } catch (error) {
+        console.error('Error in back-pressure handler:', error);
+      }
+    });
+  }
+
+  isBackedUp(symbol) {
+    return this.shardFor(symbol).backedUp;
+  }
+
+  enqueue(shard, operation) {
+    if (shard.queue.length >= this.maxQueue) {
+      shard.stats.rejected++;
+      if (!shard.backedUp) {
+        shard.backedUp = true;
+        this.emitPressure(shard);
+      }
+      return Promise.reject(new Error(`Indicator shard ${shard.index} is backed up`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const operationId = this.operationCounter++;
+      shard.queue.push({ operation: { ...operation, operationId }, resolve, reject });
+      shard.stats.maxQueueLength = Math.max(shard.stats.maxQueueLength, shard.queue.length);
+      this.scheduleFlush(shard);
+    });
+  }
+
+  scheduleFlush(shard) {
+    if (shard.inFlight) return;
+
+    if (shard.queue.length >= this.batchSize) {
+      this.flush(shard);
+    } else if (!shard.flushTimer) {
+      shard.flushTimer = this.clock.setTimeout(() => {
+        shard.flushTimer = null;
+        this.flush(shard);
+      }, this.flushIntervalMs);
+    }
+  }
+
+  async flush(shard) {
+    if (shard.inFlight || shard.queue.length === 0) return;
+
+    if (shard.flushTimer) {
+      this.clock.clearTimeout(shard.flushTimer);
+      shard.flushTimer = null;
+    }
+
+    const entries = shard.queue.splice(0, this.batchSize);
+    const startedAt = this.clock.now();
+    shard.inFlight = true;
+
+    try {
+      const results = await shard.client.batch(entries.map(entry => entry.operation));
+      const byId = new Map(results.map(result => [result.operationId, result]));
+
+      entries.forEach(({ operation, resolve, reject }) => {
+        const result = byId.get(operation.operationId);
+        if (result && result.success !== false) {
+          shard.stats.processed++;
+          resolve(result);
+        } else {
+          shard.stats.failed++;
+          reject(new Error(result ? result.error : 'Missing batch result'));
+        }
+      });
+    } catch (error) {
+      shard.stats.failed += entries.length;
+      entries.forEach(({ reject }) => reject(error));
+    }
+
+    const now = this.clock.now();
+    shard.stats.batches++;
+    shard.stats.totalLatencyMs += now - startedAt;
+    shard.stats.recent.push({ ts: now, count: entries.length });
+    while (shard.stats.recent.length > 0 && shard.stats.recent[0].ts < now - this.statsWindowMs) {
+      shard.stats.recent.shift();
+    }
+
+    shard.inFlight = false;
+    if (shard.backedUp && shard.queue.length < this.maxQueue / 2) {
+      shard.backedUp = false;
+      this.emitPressure(shard);
+    }
+    if (shard.queue.length > 0) {
+      this.scheduleFlush(shard);
+    }
+  }
+
+  // Indicator ids are pinned to the shard of the symbol they were created for
+  initIndicator(symbol, id, indicatorType, params = {}) {
+    const shard = this.shardFor(symbol);
+    this.indicatorShards.set(id, shard);
+    return this.enqueue(shard, { type: 'initIndicator', id, indicatorType, params });
+  }
+
+  updateIndicator(id, data) {
+    const shard = this.indicatorShards.get(id);
+    if (!shard) {
+      return Promise.reject(new Error(`Indicator ${id} not found`));
+    }
+    return this.enqueue(shard, { type: 'updateIndicator', id, data });
+  }
+
+  buildCandle(symbol, timeframe, tick, higherTimeframes) {
+    return this.enqueue(this.shardFor(symbol), { type: 'buildCandle', symbol, timeframe, tick, higherTimeframes });
+  }
+
+  closeCandle(symbol, timeframe, time, higherTimeframes) {
+    return this.enqueue(this.shardFor(symbol), { type: 'closeCandle', symbol, timeframe, time, higherTimeframes });
+  }
+
+  attachTickBuffer(ring, from = ring.getSequence()) {
+    if (ring.shared) {
+      this.sharedTickSymbols.add(ring.symbol);
+    } else {
+      this.sharedTickSymbols.delete(ring.symbol);
+    }
+    return this.shardFor(ring.symbol).client.attachTickBuffer(ring, from);
+  }
+
+  // Shared rings drain inside the shard's batch; copied ticks carry
+  // transferables, so they go straight to the client
+  async drainTicks(symbol, timeframe, higherTimeframes, until) {
+    const shard = this.shardFor(symbol);
+    if (!this.sharedTickSymbols.has(symbol)) {
+      return shard.client.drainTicks(symbol, timeframe, higherTimeframes, until);
+    }
+    const result = await this.enqueue(shard, { type: 'drainTicks', symbol, timeframe, higherTimeframes, until });
+    shard.client.recordTickCursor(symbol, result.cursor);
+    return result;
+  }
+
+  // Not batchable: sent straight to the client
+  configureCandles(options) {
+    this.start();
+    return Promise.all(this.shards.map(shard => shard.client.configureCandles(options)));
+  }
+
+  addSeries(id, config) {
+    const shard = this.shardFor(config.symbol);
+    this.seriesShards.set(id, shard);
+    return shard.client.addSeries(id, config);
+  }
+
+  removeSeries(id) {
+    const shard = this.seriesShards.get(id);
+    if (!shard) return Promise.resolve({ success: false, id });
+    this.seriesShards.delete(id);
+    return shard.client.removeSeries(id);
+  }
+
+  getStats() {
+    const now = this.clock.now();
+    return this.shards.map(shard => {
+      const { processed, failed, rejected, batches, totalLatencyMs, maxQueueLength, recent } = shard.stats;
+      const windowOps = recent
+        .filter(entry => entry.ts >= now - this.statsWindowMs)
+        .reduce((sum, entry) => sum + entry.count, 0);
+
+      return {
+        shard: shard.index,
+        symbols: [...shard.symbols],
+        queued: shard.queue.length,
+        inFlight: shard.inFlight,
+        backedUp: shard.backedUp,
+        processed,
+        failed,
+        rejected,
+        batches,
+        avgBatchSize: batches > 0 ? (processed + failed) / batches : 0,
+        avgBatchLatencyMs: batches > 0 ? totalLatencyMs / batches : 0,
+        maxQueueLength,
+        opsPerSecond: windowOps / (this.statsWindowMs / 1000)
+      };
+    });
+  }
+
+  terminate() {
+    this.shards.forEach(shard => {
+      if (shard.flushTimer) this.clock.clearTimeout(shard.flushTimer);
+      shard.queue.forEach(({ reject }) => reject(new Error('Indicator pool terminated')));
+      shard.client.terminate();
+    });
+    this.shards = [];
+    this.indicatorShards.clear();
+    this.seriesShards.clear();
+    this.sharedTickSymbols.clear();
+  }
+}
+
+export const indicatorPool = new IndicatorPool();
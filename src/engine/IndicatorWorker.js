@@ -0,0 +1,352 @@
+import { createIndicator, CANDLE_INDICATORS } from './indicators/index.js';
+import { CandleBuilder, CANDLE_DEFAULTS } from './CandleBuilder.js';
+import { PatternDetector } from './PatternDetector.js';
+import { createSeries } from './ChartSeries.js';
+import { TickRingBuffer } from './TickRingBuffer.js';
+
+// Indicator, candle and series state for one worker. Runs inside
+// indicators.worker.js, or on the main thread when Workers are unavailable.
+export class IndicatorWorker {
+  constructor() {
+    this.indicators = new Map();
+    // The same candle options as the backtester
+    this.candleBuilder = new CandleBuilder(CANDLE_DEFAULTS);
+    this.patternDetector = new PatternDetector();
+    this.series = new Map();
+    this.tickRings = new Map();
+    this.tickCursors = new Map();
+  }
+
+  initializeIndicator(id, type, params) {
+    const indicator = createIndicator(type, params);
+    this.indicators.set(id, { indicator, type });
+    return { success: true, id, warmupPeriod: indicator.warmupPeriod };
+  }
+
+  updateIndicator(id, data) {
+    const indicatorData = this.indicators.get(id);
+    if (!indicatorData) {
+      throw new Error(`Indicator ${id} not found`);
+    }
+
+    const { indicator, type } = indicatorData;
+    let result;
+
+    try {
+      if (CANDLE_INDICATORS.has(type)) {
+        result = indicator.update(data); // data should be a candle
+      } else if (type === 'VWAP') {
+        result = indicator.update(data.price, data.volume || 1);
+      } else {
+        result = indicator.update(data.price || data);
+      }
+
+      return {
+        success: true,
+        id,
+        result,
+        ready: indicator.isReady(),
+        samples: indicator.samples,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      return { success: false, id, error: error.message };
+    }
+  }
+
+  serializeIndicator(id) {
+    const indicatorData = this.indicators.get(id);
+    if (!indicatorData) {
+      throw new Error(`Indicator ${id} not found`);
+    }
+    return { success: true, id, snapshot: indicatorData.indicator.serialize() };
+  }
+
+  restoreIndicator(id, snapshot) {
+    const indicatorData = this.indicators.get(id);
+    if (!indicatorData) {
+      throw new Error(`Indicator ${id} not found`);
+    }
+    indicatorData.indicator.restore(snapshot);
+    return { success: true, id };
+  }
+
+  // higherTimeframes: optional roll-up chain, e.g. ['5m', '15m', '1h', '4h']
+  buildCandle(symbol, timeframe, tick, higherTimeframes) {
+    const result = higherTimeframes && higherTimeframes.length > 0
+      ? this.candleBuilder.buildWithRollUp(symbol, timeframe, tick, higherTimeframes)
+      : this.candleBuilder.build(symbol, timeframe, tick);
+
+    return this.finishCandleResult(symbol, timeframe, tick, result);
+  }
+
+  // Closes the symbol's candle at a scheduled boundary (time in epoch ms or a
+  // Date) instead of on the next tick; see CandleBuilder.close
+  closeCandle(symbol, timeframe, time, higherTimeframes) {
+    const result = this.candleBuilder.close(symbol, timeframe, new Date(time), higherTimeframes || []);
+    return this.finishCandleResult(symbol, timeframe, null, result);
+  }
+
+  // Pattern detection and derived series for a build or close result.
+  // Gap-fill candles have no price action and are left out of the pattern
+  // history. Revised candles replace their earlier version there; series bars
+  // already built from it stand.
+  finishCandleResult(symbol, timeframe, tick, result) {
+    const detect = (rolled) => {
+      if (rolled.completed && !rolled.completed.filled) {
+        rolled.patterns = this.patternDetector.addCandle(rolled.completed);
+      }
+      if (rolled.revised) {
+        rolled.revisedPatterns = rolled.revised.map(candle => this.patternDetector.reviseCandle(candle));
+      }
+    };
+    detect(result);
+    Object.values(result.higher || {}).forEach(detect);
+
+    const series = this.updateSeries(symbol, timeframe, tick, result);
+    if (series) result.series = series;
+    return result;
+  }
+
+  // Shared tick ring from the socket client (see TickRingBuffer.describe()).
+  // Drains start after sequence `from`; attaching again (e.g. when the runner
+  // restarts) starts the symbol's drains over from there.
+  attachTickBuffer(descriptor, from = 0) {
+    const ring = TickRingBuffer.attach(descriptor);
+    this.tickRings.set(ring.symbol, { ring, from });
+    this.tickCursors.forEach((cursor, key) => {
+      if (key.startsWith(`${ring.symbol}_`)) this.tickCursors.delete(key);
+    });
+    return { success: true, symbol: ring.symbol, shared: ring.shared, sequence: ring.getSequence() };
+  }
+
+  // Builds candles from the ticks written to the symbol's ring since the last
+  // drain for this timeframe, up to sequence `until` (default: all of them).
+  // Only ticks that closed, revised or filled a candle, or produced series
+  // bars, are reported in `events`, each with the `sequence` of its tick.
+  drainTicks(symbol, timeframe, higherTimeframes, until) {
+    const attached = this.tickRings.get(symbol);
+    if (!attached) {
+      throw new Error(`No tick buffer attached for ${symbol}`);
+    }
+
+    const cursorKey = `${symbol}_${timeframe}`;
+    const cursor = this.tickCursors.has(cursorKey)
+      ? this.tickCursors.get(cursorKey)
+      : attached.from;
+
+    const drained = this.consumeTicks(
+      symbol,
+      timeframe,
+      higherTimeframes,
+      visit => attached.ring.readSince(cursor, visit, until)
+    );
+    this.tickCursors.set(cursorKey, drained.cursor);
+    return drained;
+  }
+
+  // Same as drainTicks for ticks posted as transferred column arrays, when
+  // the ring cannot be shared; `from` is the sequence before the first tick
+  processTickColumns(symbol, timeframe, ts, price, higherTimeframes, from = 0) {
+    return this.consumeTicks(symbol, timeframe, higherTimeframes, visit => {
+      for (let i = 0; i < ts.length; i++) {
+        visit(ts[i], price[i], from + i + 1);
+      }
+      return { cursor: from + ts.length, count: ts.length, skipped: 0 };
+    });
+  }
+
+  consumeTicks(symbol, timeframe, higherTimeframes, read) {
+    const events = [];
+    let last = null;
+
+    const info = read((ts, price, sequence) => {
+      last = this.buildCandle(symbol, timeframe, { symbol, ts: new Date(ts), price }, higherTimeframes);
+
+      const hasSeriesBars = last.series && Object.values(last.series).some(output => output.bars.length > 0);
+      const hasHigher = last.higher && Object.values(last.higher).some(rolled => rolled.completed || rolled.revised);
+      if (last.completed || last.filled || last.revised || hasSeriesBars || hasHigher) {
+        events.push({ ...last, sequence });
+      }
+    });
+
+    return {
+      success: true,
+      symbol,
+      timeframe,
+      ...info,
+      events,
+      current: last ? last.current : this.candleBuilder.getCurrentCandle(symbol, timeframe)
+    };
+  }
+
+  // Derived series per chart: config { symbol, timeframe, type, ...options }
+  // where type is 'heikinAshi', 'renko' ({ boxSize } or { atrMultiple, atrPeriod })
+  // or 'rangeBars' ({ range })
+  addSeries(id, config) {
+    const { symbol, timeframe, type, ...options } = config;
+    this.series.set(id, { symbol, timeframe, builder: createSeries(type, options) });
+    return { success: true, id, type };
+  }
+
+  removeSeries(id) {
+    return { success: this.series.delete(id), id };
+  }
+
+  updateSeries(symbol, timeframe, tick, result) {
+    let output = null;
+
+    this.series.forEach(({ symbol: seriesSymbol, timeframe: seriesTimeframe, builder }, id) => {
+      if (seriesSymbol !== symbol || seriesTimeframe !== timeframe) return;
+
+      const bars = [];
+      this.candleBuilder.closedCandles(result).forEach(candle => bars.push(...builder.onCandle(candle)));
+      // Late ticks already belong to closed candles; they do not move tick-driven bars
+      if (tick && !result.dropped && !result.revised) {
+        bars.push(...builder.onTick(tick));
+      }
+
+      output = output || {};
+      output[id] = { type: builder.type, bars };
+      if (builder.peek && result.current) {
+        output[id].current = builder.peek(result.current);
+      }
+    });
+
+    return output;
+  }
+
+  // options: { fillGaps, maxFillCandles, lateTickToleranceMs }
+  configureCandles(options) {
+    this.candleBuilder.configure(options);
+    return {
+      success: true,
+      fillGaps: this.candleBuilder.fillGaps,
+      maxFillCandles: this.candleBuilder.maxFillCandles,
+      lateTickToleranceMs: this.candleBuilder.lateTickToleranceMs
+    };
+  }
+
+  batchProcess(operations) {
+    const results = [];
+    
+    for (const operation of operations) {
+      try {
+        let result;
+        
+        switch (operation.type) {
+          case 'initIndicator':
+            result = this.initializeIndicator(operation.id, operation.indicatorType, operation.params);
+            break;
+          case 'updateIndicator':
+            result = this.updateIndicator(operation.id, operation.data);
+            break;
+          case 'buildCandle':
+            result = this.buildCandle(operation.symbol, operation.timeframe, operation.tick, operation.higherTimeframes);
+            break;
+          case 'drainTicks':
+            result = this.drainTicks(operation.symbol, operation.timeframe, operation.higherTimeframes, operation.until);
+            break;
+          case 'closeCandle':
+            result = this.closeCandle(operation.symbol, operation.timeframe, operation.time, operation.higherTimeframes);
+            break;
+          case 'serialize':
+            result = this.serializeIndicator(operation.id);
+            break;
+          case 'restore':
+            result = this.restoreIndicator(operation.id, operation.snapshot);
+            break;
+          default:
+            result = { success: false, error: `Unknown operation: ${operation.type}` };
+        }
+        
+        results.push({ ...result, operationId: operation.operationId });
+      } catch (error) {
+        results.push({ 
+          success: false, 
+          error: error.message, 
+          operationId: operation.operationId 
+        });
+      }
+    }
+    
+    return results;
+  }
+
+  reset(id) {
+    const indicatorData = this.indicators.get(id);
+    if (indicatorData) {
+      indicatorData.indicator.reset();
+      return { success: true, id };
+    }
+    return { success: false, error: `Indicator ${id} not found` };
+  }
+
+  cleanup() {
+    this.indicators.clear();
+    this.candleBuilder.reset();
+    this.patternDetector.reset();
+    this.series.clear();
+    this.tickRings.clear();
+    this.tickCursors.clear();
+    return { success: true };
+  }
+}
+
+// Maps a { type, data } message onto an IndicatorWorker; shared by the worker
+// entry point and IndicatorClient's main-thread fallback
+export const dispatchIndicatorMessage = (worker, type, data) => {
+  let result;
+
+  switch (type) {
+    case 'init':
+      result = worker.initializeIndicator(data.id, data.indicatorType, data.params);
+      break;
+    case 'update':
+      result = worker.updateIndicator(data.id, data.data);
+      break;
+    case 'buildCandle':
+      result = worker.buildCandle(data.symbol, data.timeframe, data.tick, data.higherTimeframes);
+      break;
+    case 'closeCandle':
+      result = worker.closeCandle(data.symbol, data.timeframe, data.time, data.higherTimeframes);
+      break;
+    case 'attachTicks':
+      result = worker.attachTickBuffer(data.descriptor, data.from);
+      break;
+    case 'drainTicks':
+      result = worker.drainTicks(data.symbol, data.timeframe, data.higherTimeframes, data.until);
+      break;
+    case 'tickColumns':
+      result = worker.processTickColumns(data.symbol, data.timeframe, data.ts, data.price, data.higherTimeframes, data.from);
+      break;
+    case 'configureCandles':
+      result = worker.configureCandles(data.options);
+      break;
+    case 'addSeries':
+      result = worker.addSeries(data.id, data.config);
+      break;
+    case 'removeSeries':
+      result = worker.removeSeries(data.id);
+      break;
+    case 'batch':
+      result = worker.batchProcess(data.operations);
+      break;
+    case 'reset':
+      result = worker.reset(data.id);
+      break;
+    case 'serialize':
+      result = worker.serializeIndicator(data.id);
+      break;
+    case 'restore':
+      result = worker.restoreIndicator(data.id, data.snapshot);
+      break;
+    case 'cleanup':
+      result = worker.cleanup();
+      break;
+    default:
+      result = { success: false, error: `Unknown message type: ${type}` };
+  }
+
+  return result;
+};
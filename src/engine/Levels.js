@@ -0,0 +1,190 @@
+// Support/resistance levels derived from candle history: classic and Camarilla
+// pivots, clustered swing-high/low zones and Fibonacci retracements
+
+export const FIBONACCI_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+export class LevelCalculator {
+  // High/low/close of a run of candles, e.g. the previous session for pivots
+  aggregate(candles) {
+    if (!candles || candles.length === 0) return null;
+
+    let high = -Infinity;
+    let low = Infinity;
+    candles.forEach(candle => {
+      if (candle.high > high) high = candle.high;
+      if (candle.low < low) low = candle.low;
+    });
+
+    return {
+      open: candles[0].open,
+      high,
+      low,
+      close: candles[candles.length - 1].close
+    };
+  }
+
+  classicPivots({ high, low, close }) {
+    const pivot = (high + low + close) / 3;
+    return {
+      pivot,
+      r1: 2 * pivot - low,
+      r2: pivot + (high - low),
+      r3: high + 2 * (pivot - low),
+      s1: 2 * pivot - high,
+      s2: pivot - (high - low),
+      s3: low - 2 * (high - pivot)
+    };
+  }
+
+  camarillaPivots({ high, low, close }) {
+    const range = (high - low) * 1.1;
+    return {
+      r1: close + range / 12,
+      r2: close + range / 6,
+      r3: close + range / 4,
+      r4: close + range / 2,
+      s1: close - range / 12,
+      s2: close - range / 6,
+      s3: close - range / 4,
+      s4: close - range / 2
+    };
+  }
+
+  // A swing high is a high not exceeded by `strength` candles either side
+  swingPoints(candles, strength = 2) {
+    const points = [];
+
+    for (let i = strength; i < candles.length - strength; i++) {
+      let isHigh = true;
+      let isLow = true;
+
+      for (let j = i - strength; j <= i + strength && (isHigh || isLow); j++) {
+        if (j === i) continue;
+        // Strict on the left so a flat top is counted once, at its first candle
+        if (j < i ? candles[j].high >= candles[i].high : candles[j].high > candles[i].high) isHigh = false;
+        if (j < i ? candles[j].low <= candles[i].low : candles[j].low < candles[i].low) isLow = false;
+      }
+
+      if (isHigh) points.push({ type: 'high', price: candles[i].high, index: i });
+      if (isLow) points.push({ type: 'low', price: candles[i].low, index: i });
+    }
+
+    return points;
+  }
+
+  // Groups swing points lying within `tolerance` of their neighbour into zones
+  clusterZones(points, tolerance) {
+    const sorted = [...points].sort((a, b) => a.price - b.price);
+    const zones = [];
+    let current = null;
+
+    sorted.forEach(point => {
+      if (current && point.price - current.high <= tolerance) {
+        current.high = point.price;
+        current.sum += point.price;
+        current.touches++;
+        current.lastIndex = Math.max(current.lastIndex, point.index);
+      } else {
+        current = {
+          low: point.price,
+          high: point.price,
+          sum: point.price,
+          touches: 1,
+          lastIndex: point.index
+        };
+        zones.push(current);
+      }
+    });
+
+    return zones.map(({ sum, ...zone }) => ({ ...zone, price: sum / zone.touches }));
+  }
+
+  supportResistanceZones(candles, currentPrice, options = {}) {
+    const { strength = 2, tolerance = null } = options;
+    if (candles.length === 0) return { support: [], resistance: [] };
+
+    // Default tolerance: a quarter of the average candle range
+    const averageRange = candles.reduce((sum, c) => sum + (c.high - c.low), 0) / candles.length;
+    const zones = this.clusterZones(this.swingPoints(candles, strength), tolerance ?? averageRange / 4);
+
+    return {
+      support: zones
+        .filter(zone => zone.price < currentPrice)
+        .sort((a, b) => b.price - a.price),
+      resistance: zones
+        .filter(zone => zone.price > currentPrice)
+        .sort((a, b) => a.price - b.price)
+    };
+  }
+
+  // Retracements of the largest move in the window, measured back from its end
+  fibonacciRetracements(candles, lookback = 100) {
+    const window = candles.slice(-lookback);
+    if (window.length < 2) return null;
+
+    let highIndex = 0;
+    let lowIndex = 0;
+    window.forEach((candle, i) => {
+      if (candle.high > window[highIndex].high) highIndex = i;
+      if (candle.low < window[lowIndex].low) lowIndex = i;
+    });
+
+    const high = window[highIndex].high;
+    const low = window[lowIndex].low;
+    const range = high - low;
+    const direction = lowIndex < highIndex ? 'up' : 'down';
+
+    const levels = {};
+    FIBONACCI_RATIOS.forEach(ratio => {
+      levels[ratio] = direction === 'up' ? high - range * ratio : low + range * ratio;
+    });
+
+    return { direction, high, low, levels };
+  }
+
+  compute(candles, currentPrice, options = {}) {
+    const { pivotCandle = this.aggregate(candles), strength = 2, tolerance = null, fibLookback = 100 } = options;
+
+    if (!pivotCandle) {
+      return { classic: null, camarilla: null, zones: { support: [], resistance: [] }, fibonacci: null };
+    }
+
+    return {
+      classic: this.classicPivots(pivotCandle),
+      camarilla: this.camarillaPivots(pivotCandle),
+      zones: this.supportResistanceZones(candles, currentPrice, { strength, tolerance }),
+      fibonacci: this.fibonacciRetracements(candles, fibLookback)
+    };
+  }
+
+  // Two nearest levels either side of price: swing zones first, topped up
+  // with classic pivot levels when there are not enough zones
+  nearestLevels(levels, currentPrice) {
+    const pivotLevels = levels.classic
+      ? Object.values(levels.classic)
+      : [];
+
+    const pick = (zonePrices, side) => {
+      const candidates = pivotLevels
+        .filter(price => (side === 'resistance' ? price > currentPrice : price < currentPrice))
+        .sort((a, b) => (side === 'resistance' ? a - b : b - a));
+      const result = [...zonePrices.slice(0, 2)];
+      for (const price of candidates) {
+        if (result.length >= 2) break;
+        const beyond = result.length === 0 ||
+          (side === 'resistance' ? price > result[result.length - 1] : price < result[result.length - 1]);
+        if (beyond) result.push(price);
+      }
+      // Too few levels on this side (e.g. no history): null, not a made-up price
+      while (result.length < 2) result.push(null);
+      return result;
+    };
+
+    const [resistance1, resistance2] = pick(levels.zones.resistance.map(z => z.price), 'resistance');
+    const [support1, support2] = pick(levels.zones.support.map(z => z.price), 'support');
+
+    return { resistance1, resistance2, support1, support2 };
+  }
+}
+
+export const levelCalculator = new LevelCalculator();
@@ -0,0 +1,400 @@
+import { strategyEngine as defaultEngine } from './StrategyEngine.js';
+import { scheduler as defaultScheduler } from './Scheduler.js';
+import { indicatorPool } from './IndicatorPool.js';
+import { snapshotStore } from './SnapshotStore.js';
+import { sandboxClient } from './SandboxClient.js';
+import { TIMEFRAME_MS } from './CandleBuilder.js';
+import { realtimeClient } from '../data/websocketClient.js';
+import { useTradingStore } from '../store/tradingStore.js';
+
+// Runs strategies against the realtime feed. Each strategy gets one instance
+// per symbol; candles are built by the indicator worker pool (symbols sharded
+// across workers), signals are persisted by StrategyEngine and pushed into the
+// trading store.
+//
+// Ticks reach the workers through the socket client's tick rings: the runner
+// only tells a worker how far to drain a symbol's ring, once for every run of
+// queued ticks, rather than posting each tick.
+//
+// Tick-mode strategies are evaluated on every tick. For candle-mode strategies
+// (evaluationMode 'candle') Scheduler.scheduleAtCandleBoundary closes the
+// candle in the worker shortly after the boundary (boundaryGraceMs) and
+// evaluates them on it, rather than waiting for the next tick; tick-mode
+// strategies receive that candle with the next tick as before. Ticks and boundaries for a symbol are processed
+// strictly in arrival order.
+export class LiveRunner {
+  constructor(options = {}) {
+    const {
+      engine = defaultEngine,
+      dataSource = realtimeClient,
+      scheduler = defaultScheduler,
+      indicators = indicatorPool,
+      snapshots = snapshotStore,
+      store = useTradingStore,
+      sandbox = sandboxClient,
+      snapshotIntervalMs = 5000,
+      // Ticks stamped before a boundary can arrive just after it; later ones
+      // revise the closed candle within the builder's late-tick tolerance
+      boundaryGraceMs = 250
+    } = options;
+
+    this.engine = engine;
+    this.dataSource = dataSource;
+    this.scheduler = scheduler;
+    this.indicators = indicators;
+    this.snapshots = snapshots;
+    this.store = store;
+    this.sandbox = sandbox;
+    this.snapshotIntervalMs = snapshotIntervalMs;
+    this.boundaryGraceMs = boundaryGraceMs;
+
+    this.running = false;
+    this.starting = null; // token of the start() in progress, cleared by stop()
+    this.timeframe = null;
+    // symbol -> { symbol, strategies, tickStrategies, candleStrategies, higherTimeframes,
+    //             ring, attached, drainedThrough, drained, queue, processing,
+    //             closedAtBoundary, unsubscribe, jobId }
+    this.symbols = new Map();
+    this.eventHandlers = [];
+    this.unsubscribeSandbox = null;
+    this.unsubscribePressure = null;
+  }
+
+  // strategies: BaseStrategy instances or { name, params, id, code } descriptors;
+  // either way fresh instances are built for every symbol and warmed from
+  // their last snapshot
+  async start({ symbols, strategies, timeframe = '1m' }) {
+    if (!TIMEFRAME_MS[timeframe]) {
+      throw new Error(`Invalid timeframe: ${timeframe}`);
+    }
+    if (this.running || this.starting) {
+      this.stop();
+    }
+
+    const attempt = {};
+    this.starting = attempt;
+    this.timeframe = timeframe;
+
+    try {
+      this.indicators.start();
+      await this.dataSource.connect();
+      // stop(), or another start(), was called while connecting
+      if (this.starting !== attempt) return;
+
+      symbols.forEach(symbol => this.startSymbol(symbol, strategies, timeframe));
+      await Promise.all([...this.symbols.values()].map(state => state.attached));
+      if (this.starting !== attempt) return;
+    } catch (error) {
+      // Undo whatever was set up before the failure
+      if (this.starting === attempt) {
+        this.starting = null;
+        this.teardown();
+        this.indicators.terminate();
+      }
+      throw error;
+    }
+    this.starting = null;
+
+    // Errors from sandboxed strategy code surface as runner errors
+    this.unsubscribeSandbox = this.sandbox.onError(report => {
+      const state = this.symbols.get(report.symbol);
+      if (!state || !state.strategies.includes(report.source)) return;
+      this.emit('error', {
+        symbol: report.symbol,
+        strategy: report.strategy,
+        error: new Error(report.disabled ? `${report.error} (strategy disabled)` : report.error)
+      });
+    });
+
+    // A shard that falls behind rejects work until it catches up
+    if (this.indicators.onBackPressure) {
+      this.unsubscribePressure = this.indicators.onBackPressure(pressure => this.emit('backPressure', pressure));
+    }
+
+    this.snapshots.startAutoSave(() => this.getSnapshotEntries(), this.snapshotIntervalMs);
+    this.running = true;
+    this.store.getState().setLiveTrading(true);
+    this.emit('status', { status: this.getStatus() });
+  }
+
+  startSymbol(symbol, strategies, timeframe) {
+    const instances = strategies.map(strategy => (
+      this.engine.buildStrategy(strategy.name, strategy.params, strategy.id ?? null, strategy.code ?? null)
+    ));
+    instances.forEach(strategy => this.snapshots.restore(strategy, symbol));
+
+    // Ticks already in the ring predate the runner and are not drained
+    const ring = this.dataSource.getTickRing(symbol);
+    const from = ring.getSequence();
+
+    const state = {
+      symbol,
+      strategies: instances,
+      tickStrategies: instances.filter(strategy => !strategy.evaluatesOnCandles()),
+      candleStrategies: instances.filter(strategy => strategy.evaluatesOnCandles()),
+      higherTimeframes: this.resolveHigherTimeframes(instances),
+      ring,
+      attached: this.indicators.attachTickBuffer(ring, from),
+      drainedThrough: from,
+      drained: new Map(), // ring sequence -> buildCandle result of that tick
+      queue: [],
+      processing: false,
+      closedAtBoundary: null, // { candle, higherCandles } waiting for the next tick
+      unsubscribe: null,
+      jobId: null
+    };
+    this.symbols.set(symbol, state);
+
+    // The socket client writes a tick to the ring before notifying, so the
+    // ring's sequence is the one just past this tick
+    state.unsubscribe = this.dataSource.subscribe(symbol, tick => (
+      this.enqueue(state, { tick, sequence: ring.getSequence() })
+    ));
+    if (state.candleStrategies.length > 0) {
+      // A negative offset fires after the boundary
+      state.jobId = this.scheduler.scheduleAtCandleBoundary(
+        symbol,
+        timeframe,
+        job => this.enqueue(state, { job }),
+        { offset: -this.boundaryGraceMs }
+      );
+    }
+  }
+
+  // Unsubscribes and saves a final snapshot; work already queued is discarded.
+  // A start() still connecting gives up once connected.
+  stop() {
+    this.starting = null;
+    if (!this.running) return;
+
+    this.snapshots.stopAutoSave();
+    this.snapshots.saveAll(this.getSnapshotEntries());
+    this.teardown();
+    if (this.unsubscribeSandbox) this.unsubscribeSandbox();
+    this.unsubscribeSandbox = null;
+    if (this.unsubscribePressure) this.unsubscribePressure();
+    this.unsubscribePressure = null;
+
+    this.running = false;
+    this.store.getState().setLiveTrading(false);
+    this.emit('status', { status: this.getStatus() });
+  }
+
+  teardown() {
+    this.symbols.forEach(state => {
+      if (state.unsubscribe) state.unsubscribe();
+      if (state.jobId) this.scheduler.cancelJob(state.jobId);
+      state.strategies.forEach(strategy => strategy.dispose());
+    });
+    this.symbols.clear();
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      timeframe: this.timeframe,
+      symbols: Array.from(this.symbols.values()).map(state => ({
+        symbol: state.symbol,
+        strategies: state.strategies.map(strategy => ({
+          name: strategy.name,
+          evaluationMode: strategy.evaluatesOnCandles() ? 'candle' : 'tick'
+        })),
+        backlog: state.queue.length
+      })),
+      // Per-shard queue depth, latency and throughput
+      indicators: this.indicators.getStats ? this.indicators.getStats() : null
+    };
+  }
+
+  getSnapshotEntries() {
+    const entries = [];
+    this.symbols.forEach(state => {
+      state.strategies.forEach(strategy => entries.push({ strategy, scope: state.symbol }));
+    });
+    return entries;
+  }
+
+  onEvent(handler) {
+    this.eventHandlers.push(handler);
+    return () => {
+      const index = this.eventHandlers.indexOf(handler);
+      if (index > -1) {
+        this.eventHandlers.splice(index, 1);
+      }
+    };
+  }
+
+  emit(type, payload) {
+    this.eventHandlers.forEach(handler => {
+      try {
+        handler({ type, ...payload });
+      } catch (error) {
+        console.error('Error in live runner event handler:', error);
+      }
+    });
+  }
+
+  // Union of the strategies' higher timeframes, shortest first, as a roll-up chain
+  resolveHigherTimeframes(instances) {
+    const timeframes = new Set();
+    instances.forEach(strategy => {
+      strategy.getHigherTimeframes().forEach(timeframe => timeframes.add(timeframe));
+    });
+    return [...timeframes].sort((a, b) => TIMEFRAME_MS[a] - TIMEFRAME_MS[b]);
+  }
+
+  // A symbol's state is replaced when the runner restarts
+  isCurrent(state) {
+    return this.symbols.get(state.symbol) === state;
+  }
+
+  enqueue(state, item) {
+    state.queue.push(item);
+    if (!state.processing) {
+      this.processQueue(state);
+    }
+  }
+
+  async processQueue(state) {
+    state.processing = true;
+
+    while (state.queue.length > 0 && this.isCurrent(state)) {
+      const item = state.queue.shift();
+      try {
+        if (item.job) {
+          await this.processBoundary(state, item.job);
+        } else {
+          await this.processTick(state, item);
+        }
+      } catch (error) {
+        console.error(`Error running strategies on ${state.symbol}:`, error);
+        this.emit('error', { symbol: state.symbol, error });
+      }
+    }
+
+    state.processing = false;
+  }
+
+  async processTick(state, { tick, sequence }) {
+    const result = await this.candleResult(state, sequence);
+    const completed = result.completed || null;
+    const higherCandles = this.completedHigher(result);
+    this.reviseCandles(result);
+
+    if (completed) {
+      this.recordCandle(completed);
+    }
+
+    // Candle-mode strategies only act on a completed candle; one closed at the
+    // boundary has already been evaluated
+    await this.evaluate(state, state.candleStrategies, tick, completed, higherCandles);
+
+    let tickCandle = completed;
+    let tickHigherCandles = higherCandles;
+    if (state.closedAtBoundary) {
+      tickCandle = tickCandle || state.closedAtBoundary.candle;
+      tickHigherCandles = [...state.closedAtBoundary.higherCandles, ...higherCandles];
+      state.closedAtBoundary = null;
+    }
+    await this.evaluate(state, state.tickStrategies, tick, tickCandle, tickHigherCandles);
+  }
+
+  // The worker's buildCandle result for the tick at ring `sequence`. When the
+  // tick has not been drained yet, this drains it together with every tick
+  // queued behind it, up to the next boundary job. Ticks that did not close,
+  // revise or fill a candle have no result of their own.
+  async candleResult(state, sequence) {
+    if (sequence > state.drainedThrough) {
+      let until = sequence;
+      for (const item of state.queue) {
+        if (item.job) break;
+        until = item.sequence;
+      }
+
+      await state.attached;
+      const drained = await this.indicators.drainTicks(state.symbol, this.timeframe, state.higherTimeframes, until);
+      state.drainedThrough = drained.cursor;
+      drained.events.forEach(event => state.drained.set(event.sequence, event));
+      if (drained.skipped > 0) {
+        this.emit('error', {
+          symbol: state.symbol,
+          error: new Error(`${drained.skipped} ticks were overwritten before the indicator worker read them`)
+        });
+      }
+    }
+
+    const result = state.drained.get(sequence) || {};
+    state.drained.delete(sequence);
+    return result;
+  }
+
+  async processBoundary(state, job) {
+    this.store.getState().addTimingError({
+      symbol: job.symbol,
+      timeframe: job.timeframe,
+      expectedTime: job.expectedTime,
+      errorMs: job.timingError - this.boundaryGraceMs
+    });
+
+    // Nothing to close when a tick after the boundary already completed the candle
+    const result = await this.indicators.closeCandle(
+      state.symbol,
+      this.timeframe,
+      job.expectedTime.getTime(),
+      state.higherTimeframes
+    );
+    if (!result.completed) return;
+
+    const candle = result.completed;
+    const higherCandles = this.completedHigher(result);
+    this.recordCandle(candle);
+    state.closedAtBoundary = { candle, higherCandles };
+
+    const closeTick = { symbol: state.symbol, ts: candle.ts_close, price: candle.close };
+    await this.evaluate(state, state.candleStrategies, closeTick, candle, higherCandles);
+  }
+
+  completedHigher(result) {
+    return Object.values(result.higher || {})
+      .filter(rolled => rolled.completed)
+      .map(rolled => rolled.completed);
+  }
+
+  recordCandle(candle) {
+    this.store.getState().addCandle(candle);
+    this.emit('candle', { candle });
+  }
+
+  // Candles amended by a late tick, base timeframe first, replace their stored
+  // version and are emitted again with `revised`. Strategies have already been
+  // evaluated on the original and are not re-run.
+  reviseCandles(result) {
+    const revised = [
+      ...(result.revised || []),
+      ...Object.values(result.higher || {}).flatMap(rolled => rolled.revised || [])
+    ];
+    revised.forEach(candle => {
+      this.store.getState().reviseCandle(candle);
+      this.emit('candle', { candle, revised: true });
+    });
+  }
+
+  async evaluate(state, strategies, tick, candle, higherCandles) {
+    if (strategies.length === 0) return;
+
+    const signals = await this.engine.evaluateStrategies(tick, candle, strategies, { higherCandles });
+    if (!this.isCurrent(state)) return;
+
+    signals.forEach(signal => {
+      const record = { ...signal, symbol: state.symbol, ts: tick.ts, price: tick.price };
+      this.store.getState().addSignal(record);
+      this.emit('signal', { signal: record });
+    });
+  }
+}
+
+export const liveRunner = new LiveRunner();
@@ -0,0 +1,410 @@
+import { strategyEngine as defaultEngine } from './StrategyEngine.js';
+import { Backtester } from './Backtester.js';
+import { BacktestJobRunner } from './BacktestJobRunner.js';
+
+const LOWER_IS_BETTER = new Set(['maxDrawdown', 'avgLoss', 'losses', 'losingTrades']);
+
+// Deterministic PRNG so random searches are repeatable for a given seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const roundValue = (value) => Math.round(value * 1e10) / 1e10;
+
+// Pool of optimizer.worker.js instances. Falls back to an in-process
+// BacktestJobRunner when Web Workers are not available.
+export class OptimizerPool {
+  constructor(options = {}) {
+    const hardware = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+      ? navigator.hardwareConcurrency
+      : 2;
+    const { size = Math.max(1, Math.min(8, hardware - 1)) } = options;
+
+    this.size = size;
+    this.workers = [];
+    this.localRunner = null;
+    this.messageIdCounter = 1;
+  }
+
+  start() {
+    if (this.workers.length > 0 || this.localRunner) return;
+
+    if (typeof Worker === 'undefined') {
+      this.localRunner = new BacktestJobRunner();
+      return;
+    }
+
+    for (let i = 0; i < this.size; i++) {
+      const worker = new Worker(new URL('../workers/optimizer.worker.js', import.meta.url), { type: 'module' });
+      const slot = { worker, pending: new Map() };
+
+      worker.onmessage = (e) => {
+        const { id, result } = e.data;
+        const request = slot.pending.get(id);
+        if (!request) return;
+
+        slot.pending.delete(id);
+        if (result && result.success === false) {
+          request.reject(new Error(result.error));
+        } else {
+          request.resolve(result);
+        }
+      };
+
+      worker.onerror = (error) => {
+        console.error('Optimizer worker error:', error);
+        slot.pending.forEach(request => request.reject(new Error(error.message || 'Worker error')));
+        slot.pending.clear();
+      };
+
+      this.workers.push(slot);
+    }
+  }
+
+  send(slot, type, data) {
+    const id = this.messageIdCounter++;
+    return new Promise((resolve, reject) => {
+      slot.pending.set(id, { resolve, reject });
+      slot.worker.postMessage({ id, type, data });
+    });
+  }
+
+  async runLocal(type, data) {
+    switch (type) {
+      case 'loadDataset':
+        return this.localRunner.loadDataset(data.datasetId, data.ticks);
+      case 'backtest':
+        return this.localRunner.runBacktest(data);
+      case 'dropDataset':
+        return this.localRunner.dropDataset(data.datasetId);
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  }
+
+  // Send to every worker, e.g. to load a dataset everywhere
+  broadcast(type, data) {
+    this.start();
+    if (this.localRunner) {
+      return this.runLocal(type, data).then(result => [result]);
+    }
+    return Promise.all(this.workers.map(slot => this.send(slot, type, data)));
+  }
+
+  // Dispatch to the worker with the fewest outstanding requests
+  run(type, data) {
+    this.start();
+    if (this.localRunner) {
+      return this.runLocal(type, data);
+    }
+
+    const slot = this.workers.reduce((least, candidate) =>
+      candidate.pending.size < least.pending.size ? candidate : least
+    );
+    return this.send(slot, type, data);
+  }
+
+  terminate() {
+    this.workers.forEach(slot => {
+      slot.pending.forEach(request => request.reject(new Error('Optimizer pool terminated')));
+      slot.worker.terminate();
+    });
+    this.workers = [];
+    this.localRunner = null;
+  }
+}
+
+// Walk-forward grid/random search over a registered strategy's params
+export class WalkForwardOptimizer {
+  constructor(options = {}) {
+    const { engine = defaultEngine, pool = null } = options;
+    this.engine = engine;
+    this.pool = pool;
+    this.datasetIdCounter = 1;
+  }
+
+  // space: { param: [values] | { values } | { min, max, step } | { min, max, integer } }
+  generateParameterSets(space, options = {}) {
+    const { search = 'grid', samples = 50, seed = 1, constraint = null, baseParams = {} } = options;
+    const names = Object.keys(space);
+    let sets = [];
+
+    if (search === 'grid') {
+      sets = names.reduce((combinations, name) => {
+        const values = this.expandValues(name, space[name]);
+        const next = [];
+        combinations.forEach(combination => {
+          values.forEach(value => next.push({ ...combination, [name]: value }));
+        });
+        return next;
+      }, [{}]);
+    } else if (search === 'random') {
+      const random = createRandom(seed);
+      const seen = new Set();
+      // Bounded attempts so tiny discrete spaces cannot loop forever
+      for (let attempt = 0; attempt < samples * 20 && sets.length < samples; attempt++) {
+        const candidate = {};
+        names.forEach(name => {
+          candidate[name] = this.sampleValue(name, space[name], random);
+        });
+        const key = JSON.stringify(candidate);
+        if (!seen.has(key)) {
+          seen.add(key);
+          sets.push(candidate);
+        }
+      }
+    } else {
+      throw new Error(`Unknown search mode: ${search}`);
+    }
+
+    return sets
+      .map(set => ({ ...baseParams, ...set }))
+      .filter(set => !constraint || constraint(set));
+  }
+
+  expandValues(name, definition) {
+    if (Array.isArray(definition)) return definition;
+    if (definition.values) return definition.values;
+
+    const { min, max, step } = definition;
+    if (min === undefined || max === undefined || !step) {
+      throw new Error(`Grid search needs values or min/max/step for ${name}`);
+    }
+
+    const values = [];
+    for (let i = 0; roundValue(min + i * step) <= max; i++) {
+      values.push(roundValue(min + i * step));
+    }
+    return values;
+  }
+
+  sampleValue(name, definition, random) {
+    const values = Array.isArray(definition) ? definition : definition.values;
+    if (values) return values[Math.floor(random() * values.length)];
+
+    const { min, max, step, integer = false } = definition;
+    if (min === undefined || max === undefined) {
+      throw new Error(`Random search needs values or min/max for ${name}`);
+    }
+    if (step) {
+      const count = Math.floor(roundValue((max - min) / step)) + 1;
+      return roundValue(min + Math.floor(random() * count) * step);
+    }
+    const value = min + random() * (max - min);
+    return integer ? Math.round(value) : value;
+  }
+
+  // Rolling (or anchored) in-sample/out-of-sample windows, as index ranges into sorted ticks
+  buildWindows(ticks, options) {
+    const { inSample, outOfSample, anchored = false } = options;
+    if (!inSample || !outOfSample) {
+      throw new Error('Walk-forward needs inSample and outOfSample durations (ms)');
+    }
+    if (ticks.length === 0) return [];
+
+    const indexAt = (time) => {
+      let low = 0;
+      let high = ticks.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (ticks[mid].ts.getTime() < time) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    };
+
+    const start = ticks[0].ts.getTime();
+    const end = ticks[ticks.length - 1].ts.getTime();
+    const windows = [];
+
+    for (let isStart = start; isStart + inSample < end; isStart += outOfSample) {
+      const isEnd = isStart + inSample;
+      const oosEnd = Math.min(isEnd + outOfSample, end + 1);
+      const windowStart = anchored ? start : isStart;
+
+      windows.push({
+        index: windows.length,
+        inSample: { from: indexAt(windowStart), to: indexAt(isEnd), start: new Date(windowStart), end: new Date(isEnd) },
+        outOfSample: { from: indexAt(isEnd), to: indexAt(oosEnd), start: new Date(isEnd), end: new Date(oosEnd) }
+      });
+    }
+
+    return windows;
+  }
+
+  score(stats, objective, minTrades) {
+    const trades = stats.totalTrades ?? stats.totalContracts ?? 0;
+    if (trades < minTrades) return -Infinity;
+
+    if (typeof objective === 'function') return objective(stats);
+
+    const value = stats[objective];
+    if (typeof value !== 'number' || Number.isNaN(value)) return -Infinity;
+    return LOWER_IS_BETTER.has(objective) ? -value : value;
+  }
+
+  async optimize({
+    strategy,
+    ticks,
+    space,
+    search = 'grid',
+    samples = 50,
+    seed = 1,
+    constraint = null,
+    baseParams = {},
+    walkForward,
+    objective = 'sharpe',
+    minTrades = 1,
+    backtest = {},
+    onProgress = null
+  }) {
+    // Rule strategies (baseParams.rules) are built from their params, not by name
+    if (!baseParams.rules && !this.engine.strategies.has(strategy)) {
+      throw new Error(`Strategy ${strategy} not found`);
+    }
+
+    const parameterSets = this.generateParameterSets(space, { search, samples, seed, constraint, baseParams });
+    if (parameterSets.length === 0) {
+      throw new Error('Parameter space is empty');
+    }
+
+    const sortedTicks = new Backtester().normalizeTicks(ticks);
+    const windows = this.buildWindows(sortedTicks, walkForward);
+    if (windows.length === 0) {
+      throw new Error('Not enough data for a single walk-forward window');
+    }
+
+    const pool = this.pool || new OptimizerPool();
+    const datasetId = `wf_${this.datasetIdCounter++}`;
+    const total = windows.length * (parameterSets.length + 1);
+    let completed = 0;
+    const reportProgress = () => {
+      completed++;
+      if (onProgress) onProgress({ completed, total });
+    };
+
+    const job = (range, params, extra = {}) => pool.run('backtest', {
+      datasetId,
+      from: range.from,
+      to: range.to,
+      strategy,
+      params,
+      options: backtest,
+      ...extra
+    }).then(result => {
+      reportProgress();
+      return result;
+    });
+
+    try {
+      await pool.broadcast('loadDataset', { datasetId, ticks: sortedTicks });
+
+      const windowResults = [];
+      for (const window of windows) {
+        const inSampleResults = await Promise.all(
+          parameterSets.map(params => job(window.inSample, params))
+        );
+        const scores = inSampleResults.map(result => this.score(result.stats, objective, minTrades));
+
+        let bestIndex = 0;
+        scores.forEach((score, index) => {
+          if (score > scores[bestIndex]) bestIndex = index;
+        });
+
+        const outOfSample = await job(window.outOfSample, parameterSets[bestIndex], {
+          includeEquity: true,
+          includeTrades: true
+        });
+
+        windowResults.push({
+          ...window,
+          scores,
+          inSampleStats: inSampleResults.map(result => result.stats),
+          bestIndex,
+          bestParams: parameterSets[bestIndex],
+          inSampleScore: scores[bestIndex],
+          outOfSample: { ...window.outOfSample, ...outOfSample }
+        });
+      }
+
+      return {
+        strategy,
+        objective: typeof objective === 'function' ? 'custom' : objective,
+        // Selection from the most recent window: the params you would deploy now
+        bestParams: windowResults[windowResults.length - 1].bestParams,
+        ranking: this.rankParameterSets(parameterSets, windowResults),
+        windows: windowResults.map(({ inSampleStats, ...rest }) => rest),
+        outOfSample: this.stitchOutOfSample(windowResults, backtest)
+      };
+    } finally {
+      pool.broadcast('dropDataset', { datasetId }).catch(() => {});
+      if (!this.pool) pool.terminate();
+    }
+  }
+
+  rankParameterSets(parameterSets, windowResults) {
+    return parameterSets
+      .map((params, index) => {
+        const scores = windowResults.map(window => window.scores[index]);
+        const finite = scores.filter(Number.isFinite);
+        return {
+          params,
+          meanScore: finite.length > 0 ? finite.reduce((sum, s) => sum + s, 0) / finite.length : -Infinity,
+          validWindows: finite.length,
+          windowsSelected: windowResults.filter(window => window.bestIndex === index).length,
+          scores,
+          meanInSampleStats: this.averageStats(windowResults.map(window => window.inSampleStats[index]))
+        };
+      })
+      .sort((a, b) => b.meanScore - a.meanScore)
+      .map((row, index) => ({ rank: index + 1, ...row }));
+  }
+
+  averageStats(statsList) {
+    const averaged = {};
+    Object.keys(statsList[0] || {}).forEach(key => {
+      const values = statsList.map(stats => stats[key]).filter(Number.isFinite);
+      if (values.length > 0) {
+        averaged[key] = values.reduce((sum, v) => sum + v, 0) / values.length;
+      }
+    });
+    return averaged;
+  }
+
+  // Chain each window's OOS run onto the previous one's ending equity
+  stitchOutOfSample(windowResults, backtestOptions) {
+    const backtester = new Backtester(backtestOptions);
+    const initialCapital = backtester.brokerOptions.initialCapital;
+    const equityCurve = [];
+    const trades = [];
+    const contracts = [];
+    let carried = 0;
+
+    windowResults.forEach(window => {
+      const { equityCurve: segment = [], trades: segmentTrades = [], contracts: segmentContracts = [] } = window.outOfSample;
+      segment.forEach(point => {
+        equityCurve.push({ ts: point.ts, equity: point.equity + carried, window: window.index });
+      });
+      trades.push(...segmentTrades);
+      contracts.push(...segmentContracts);
+      if (segment.length > 0) {
+        carried += segment[segment.length - 1].equity - initialCapital;
+      }
+    });
+
+    const stats = backtester.mode === 'binary'
+      ? backtester.calculateBinaryStats(equityCurve, trades, contracts, initialCapital)
+      : backtester.calculateStats(equityCurve, trades, initialCapital);
+
+    return { equityCurve, trades, stats };
+  }
+}
+
+export const walkForwardOptimizer = new WalkForwardOptimizer();
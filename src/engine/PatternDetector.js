@@ -0,0 +1,246 @@
+// Candlestick pattern recognition over completed OHLC candles (CandleBuilder output).
+// Each detection carries a strength in [0, 1] describing how cleanly the
+// candles meet the pattern, plus a bonus when the prior trend supports it.
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+
+const anatomy = (candle) => {
+  const body = Math.abs(candle.close - candle.open);
+  const range = candle.high - candle.low;
+  return {
+    body,
+    range,
+    upper: candle.high - Math.max(candle.open, candle.close),
+    lower: Math.min(candle.open, candle.close) - candle.low,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open
+  };
+};
+
+const PATTERN_NAMES = {
+  bullish_engulfing: 'Bullish Engulfing',
+  bearish_engulfing: 'Bearish Engulfing',
+  doji: 'Doji',
+  hammer: 'Hammer',
+  shooting_star: 'Shooting Star',
+  morning_star: 'Morning Star',
+  evening_star: 'Evening Star',
+  inside_bar: 'Inside Bar',
+  bullish_pin_bar: 'Bullish Pin Bar',
+  bearish_pin_bar: 'Bearish Pin Bar'
+};
+
+export class PatternDetector {
+  constructor(options = {}) {
+    const {
+      maxHistory = 50,
+      trendLookback = 3,
+      dojiBodyRatio = 0.1, // body at most this fraction of the range
+      shadowRatio = 2, // hammer/shooting star tail vs body
+      pinTailRatio = 2 / 3 // pin bar tail as a fraction of the range
+    } = options;
+
+    this.maxHistory = maxHistory;
+    this.trendLookback = trendLookback;
+    this.dojiBodyRatio = dojiBodyRatio;
+    this.shadowRatio = shadowRatio;
+    this.pinTailRatio = pinTailRatio;
+    this.history = new Map();
+    this.latest = new Map();
+  }
+
+  // Same key layout as CandleBuilder: one history per symbol and timeframe
+  key(symbol, timeframe) {
+    return `${symbol}_${timeframe}`;
+  }
+
+  // Feed a completed candle; returns the patterns ending on it
+  addCandle(candle) {
+    const key = this.key(candle.symbol, candle.frame);
+    if (!this.history.has(key)) {
+      this.history.set(key, []);
+    }
+
+    const candles = this.history.get(key);
+    candles.push(candle);
+    if (candles.length > this.maxHistory) {
+      candles.shift();
+    }
+
+    const patterns = this.detect(candles);
+    this.latest.set(key, patterns);
+    return patterns;
+  }
+
+  // Replaces a candle already fed (same open time) with its revision, e.g.
+  // after a late tick, or inserts it in open-time order when it was not fed
+  // (a gap-fill candle the late tick made real); returns the patterns ending
+  // on it, or [] when it is older than the history
+  reviseCandle(candle) {
+    const key = this.key(candle.symbol, candle.frame);
+    if (!this.history.has(key)) {
+      this.history.set(key, []);
+    }
+
+    const candles = this.history.get(key);
+    const time = candle.ts_open.getTime();
+    let index = candles.findIndex(previous => previous.ts_open.getTime() >= time);
+    if (index === -1) index = candles.length;
+
+    if (index < candles.length && candles[index].ts_open.getTime() === time) {
+      candles[index] = candle;
+    } else if (index === 0 && candles.length >= this.maxHistory) {
+      return [];
+    } else {
+      candles.splice(index, 0, candle);
+      if (candles.length > this.maxHistory) {
+        candles.shift();
+        index--;
+      }
+    }
+
+    const patterns = this.detect(candles.slice(0, index + 1));
+    if (index === candles.length - 1) {
+      this.latest.set(key, patterns);
+    }
+    return patterns;
+  }
+
+  getHistory(symbol, timeframe) {
+    return this.history.get(this.key(symbol, timeframe)) || [];
+  }
+
+  getLatestPatterns(symbol, timeframe) {
+    return this.latest.get(this.key(symbol, timeframe)) || [];
+  }
+
+  // Detects patterns completed by the last candle in `candles`
+  detect(candles) {
+    if (!candles || candles.length === 0) return [];
+
+    const n = candles.length;
+    const current = candles[n - 1];
+    const currentShape = anatomy(current);
+    if (currentShape.range <= 0) return [];
+
+    const patterns = [];
+    const add = (pattern, direction, strength, length) => {
+      patterns.push({
+        pattern,
+        name: PATTERN_NAMES[pattern],
+        direction,
+        strength: clamp01(strength),
+        candles: length,
+        ts: current.ts_close || current.ts_open
+      });
+    };
+
+    // Trend before the pattern's first candle
+    const trendBefore = (length) => this.trend(candles.slice(0, n - length));
+
+    // Single-candle patterns
+    const { body, range, upper, lower } = currentShape;
+    const dojiLimit = this.dojiBodyRatio * range;
+
+    if (body <= dojiLimit) {
+      add('doji', 'neutral', 0.3 + 0.7 * (1 - body / dojiLimit), 1);
+    }
+
+    if (body > 0 && lower >= this.shadowRatio * body && upper <= 0.1 * range) {
+      const trend = trendBefore(1);
+      if (trend < 0) {
+        add('hammer', 'bullish', 0.4 + 0.3 * clamp01(lower / range) + 0.3 * clamp01(-trend), 1);
+      }
+    }
+
+    if (body > 0 && upper >= this.shadowRatio * body && lower <= 0.1 * range) {
+      const trend = trendBefore(1);
+      if (trend > 0) {
+        add('shooting_star', 'bearish', 0.4 + 0.3 * clamp01(upper / range) + 0.3 * clamp01(trend), 1);
+      }
+    }
+
+    // Pin bars need no trend context, just a dominant tail and a small body.
+    // A hammer or shooting star is the same candle with trend context, so
+    // only one of them is reported.
+    const shadowPattern = patterns.some(p => p.pattern === 'hammer' || p.pattern === 'shooting_star');
+    if (!shadowPattern && body <= range / 3) {
+      if (lower >= this.pinTailRatio * range) {
+        add('bullish_pin_bar', 'bullish', 0.3 + 0.7 * clamp01((lower / range - this.pinTailRatio) / (1 - this.pinTailRatio)), 1);
+      } else if (upper >= this.pinTailRatio * range) {
+        add('bearish_pin_bar', 'bearish', 0.3 + 0.7 * clamp01((upper / range - this.pinTailRatio) / (1 - this.pinTailRatio)), 1);
+      }
+    }
+
+    // Two-candle patterns
+    if (n >= 2) {
+      const previous = candles[n - 2];
+      const previousShape = anatomy(previous);
+
+      if (previousShape.bearish && currentShape.bullish &&
+          current.open <= previous.close && current.close >= previous.open &&
+          body > previousShape.body) {
+        const trend = trendBefore(2);
+        add('bullish_engulfing', 'bullish',
+          0.4 + 0.4 * clamp01(1 - previousShape.body / body) + 0.2 * clamp01(-trend), 2);
+      }
+
+      if (previousShape.bullish && currentShape.bearish &&
+          current.open >= previous.close && current.close <= previous.open &&
+          body > previousShape.body) {
+        const trend = trendBefore(2);
+        add('bearish_engulfing', 'bearish',
+          0.4 + 0.4 * clamp01(1 - previousShape.body / body) + 0.2 * clamp01(trend), 2);
+      }
+
+      if (previousShape.range > 0 && current.high < previous.high && current.low > previous.low) {
+        add('inside_bar', 'neutral', 1 - range / previousShape.range, 2);
+      }
+    }
+
+    // Three-candle patterns
+    if (n >= 3) {
+      const first = candles[n - 3];
+      const firstShape = anatomy(first);
+      const middleShape = anatomy(candles[n - 2]);
+      const midpoint = (first.open + first.close) / 2;
+      const longFirst = firstShape.range > 0 && firstShape.body >= 0.5 * firstShape.range;
+      const smallMiddle = middleShape.body <= 0.3 * firstShape.body;
+
+      if (longFirst && smallMiddle && firstShape.bearish && currentShape.bullish && current.close > midpoint) {
+        add('morning_star', 'bullish', 0.5 + 0.5 * clamp01((current.close - midpoint) / (firstShape.body / 2)), 3);
+      }
+
+      if (longFirst && smallMiddle && firstShape.bullish && currentShape.bearish && current.close < midpoint) {
+        add('evening_star', 'bearish', 0.5 + 0.5 * clamp01((midpoint - current.close) / (firstShape.body / 2)), 3);
+      }
+    }
+
+    return patterns;
+  }
+
+  // Net close-to-close move over the lookback in units of the average range:
+  // > 0 uptrend, < 0 downtrend, 0 when there is not enough history
+  trend(candles) {
+    const lookback = Math.min(this.trendLookback, candles.length - 1);
+    if (lookback < 1) return 0;
+
+    const window = candles.slice(-(lookback + 1));
+    const avgRange = window.reduce((sum, c) => sum + (c.high - c.low), 0) / window.length;
+    if (avgRange === 0) return 0;
+
+    return (window[window.length - 1].close - window[0].close) / (avgRange * lookback);
+  }
+
+  reset(symbol, timeframe) {
+    if (symbol === undefined) {
+      this.history.clear();
+      this.latest.clear();
+      return;
+    }
+    this.history.delete(this.key(symbol, timeframe));
+    this.latest.delete(this.key(symbol, timeframe));
+  }
+}
+
+export const patternDetector = new PatternDetector();
@@ -0,0 +1,243 @@
+import { DEFAULT_SANDBOX_LIMITS } from './StrategySandbox.js';
+import { realClock } from './Clock.js';
+
+const defaultCreateWorker = () => (
+  new Worker(new URL('../workers/sandbox.worker.js', import.meta.url), { type: 'module' })
+);
+
+// Runs user strategy code in sandbox.worker.js. Requests go one at a time so
+// each one's time limit covers only its own work. When a request overruns or
+// the worker crashes (e.g. out of memory), the worker is terminated and a
+// fresh one reloads every strategy from its last snapshot; the failing
+// request is rejected and everything else carries on.
+export class SandboxClient {
+  constructor(options = {}) {
+    const {
+      evaluateTimeoutMs = 50,
+      loadTimeoutMs = 1000,
+      maxConsecutiveErrors = 5,
+      limits = {},
+      clock = realClock,
+      createWorker = defaultCreateWorker
+    } = options;
+
+    this.evaluateTimeoutMs = evaluateTimeoutMs;
+    this.loadTimeoutMs = loadTimeoutMs;
+    this.maxConsecutiveErrors = maxConsecutiveErrors;
+    this.limits = { ...DEFAULT_SANDBOX_LIMITS, ...limits };
+    this.clock = clock;
+    this.createWorker = createWorker;
+    this.worker = null;
+    this.queue = [];
+    this.active = null;
+    this.messageIdCounter = 1;
+    this.keyCounter = 1;
+    this.restarts = 0;
+    // key -> { code, params, snapshot, candles, ticks }; what a restart reloads
+    this.loaded = new Map();
+    this.errorHandlers = [];
+  }
+
+  start() {
+    if (this.worker) return;
+
+    try {
+      this.spawn();
+    } catch (error) {
+      throw new Error(`Strategy sandbox unavailable: ${error.message}`);
+    }
+  }
+
+  // Configuration and reloads go ahead of anything already queued
+  spawn() {
+    const worker = this.createWorker();
+
+    worker.onmessage = (e) => this.handleReply(e.data);
+    worker.onerror = (error) => {
+      if (error.preventDefault) error.preventDefault();
+      this.restart(`Strategy sandbox crashed: ${error.message || 'unknown error'}`);
+    };
+    this.worker = worker;
+
+    const replay = [{ type: 'configure', data: { limits: this.limits } }];
+    this.loaded.forEach((entry, key) => {
+      replay.push({ type: 'load', data: { key, code: entry.code, params: entry.params, snapshot: this.getSnapshot(key) } });
+    });
+    this.queue.unshift(...replay.map(({ type, data }) => ({
+      type,
+      data,
+      timeoutMs: this.loadTimeoutMs,
+      resolve: () => {},
+      reject: (error) => {
+        // Not replayed again; the strategy reloads on its next evaluation
+        if (type === 'load') this.loaded.delete(data.key);
+        console.error(`Error replaying ${type} in strategy sandbox:`, error.message);
+      }
+    })));
+  }
+
+  restart(reason) {
+    console.warn(`Restarting strategy sandbox: ${reason}`);
+
+    if (this.active) {
+      this.clock.clearTimeout(this.active.timer);
+      this.active.reject(new Error(reason));
+      this.active = null;
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.restarts++;
+    this.spawn();
+    this.pump();
+  }
+
+  request(type, data, timeoutMs) {
+    this.start();
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type, data, timeoutMs, resolve, reject });
+      this.pump();
+    });
+  }
+
+  pump() {
+    if (this.active || this.queue.length === 0 || !this.worker) return;
+
+    const request = this.queue.shift();
+    request.id = this.messageIdCounter++;
+    request.timer = this.clock.setTimeout(() => this.handleTimeout(request), request.timeoutMs);
+    this.active = request;
+    this.worker.postMessage({ id: request.id, type: request.type, data: request.data });
+  }
+
+  handleReply({ id, result }) {
+    const request = this.active;
+    if (!request || request.id !== id) return;
+
+    this.clock.clearTimeout(request.timer);
+    this.active = null;
+
+    if (result && result.success === false) {
+      request.reject(new Error(result.error));
+    } else {
+      request.resolve(result);
+    }
+    this.pump();
+  }
+
+  // A worker stuck in strategy code cannot be interrupted, only replaced
+  handleTimeout(request) {
+    if (this.active !== request) return;
+    this.restart(`Strategy sandbox ${request.type} exceeded ${request.timeoutMs}ms`);
+  }
+
+  // Compiles the code and runs its top level and init(), or restores the
+  // snapshot. Resolves with the key to evaluate under.
+  async load(code, params = {}, snapshot = null, key = null) {
+    const strategyKey = key || `strategy-${this.keyCounter++}`;
+    const result = await this.request(
+      'load',
+      { key: strategyKey, code, params, snapshot },
+      this.loadTimeoutMs
+    );
+
+    this.loaded.set(strategyKey, {
+      code,
+      params,
+      snapshot: result.snapshot,
+      candles: snapshot ? [...(snapshot.candles || [])] : [],
+      ticks: snapshot ? [...(snapshot.ticks || [])] : []
+    });
+    return strategyKey;
+  }
+
+  // Resolves with the signal or null; rejects with the strategy's error
+  async evaluate(key, tick, candle = null) {
+    const entry = this.loaded.get(key);
+    if (!entry) {
+      throw new Error(`Sandboxed strategy ${key} is not loaded`);
+    }
+
+    // Mirrors the worker's history so a restart can hand it back
+    this.remember(entry.ticks, tick, this.limits.tickHistory);
+    if (candle) this.remember(entry.candles, candle, this.limits.candleHistory);
+
+    const result = await this.request('evaluate', { key, tick, candle }, this.evaluateTimeoutMs);
+    if (this.loaded.get(key) === entry) {
+      entry.snapshot = result.snapshot;
+    }
+    return result.signal;
+  }
+
+  unload(key) {
+    if (!this.loaded.delete(key) || !this.worker) return;
+    this.request('unload', { key }, this.loadTimeoutMs).catch(error => {
+      console.error(`Error unloading ${key} from strategy sandbox:`, error.message);
+    });
+  }
+
+  // Throws if the code does not compile or its top level or init() fails
+  async check(code, params = {}) {
+    const key = await this.load(code, params);
+    this.unload(key);
+    return { success: true };
+  }
+
+  isLoaded(key) {
+    return this.loaded.has(key);
+  }
+
+  getSnapshot(key) {
+    const entry = this.loaded.get(key);
+    if (!entry) return null;
+    return { ...entry.snapshot, candles: [...entry.candles], ticks: [...entry.ticks] };
+  }
+
+  remember(history, item, limit) {
+    history.push(item);
+    if (history.length > limit) history.splice(0, history.length - limit);
+  }
+
+  // Errors raised by strategy code: { source, strategy, strategyId, symbol, error, disabled }
+  onError(handler) {
+    this.errorHandlers.push(handler);
+    return () => {
+      const index = this.errorHandlers.indexOf(handler);
+      if (index > -1) {
+        this.errorHandlers.splice(index, 1);
+      }
+    };
+  }
+
+  reportError(report) {
+    this.errorHandlers.forEach(handler => {
+      try {
+        handler(report);
+      } catch (error) {
+        console.error('Error in sandbox error handler:', error);
+      }
+    });
+  }
+
+  terminate() {
+    if (this.active) {
+      this.clock.clearTimeout(this.active.timer);
+      this.active.reject(new Error('Strategy sandbox terminated'));
+      this.active = null;
+    }
+    this.queue.forEach(request => request.reject(new Error('Strategy sandbox terminated')));
+    this.queue = [];
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.loaded.clear();
+    this.restarts = 0;
+  }
+}
+
+export const sandboxClient = new SandboxClient();
@@ -1,7 +1,13 @@
 import { realtimeClient } from '../data/websocketClient';
 
-class Scheduler {
-  constructor() {
+export class Scheduler {
+  // clock: server-time clock driving boundaries and timers (defaults to the realtime client's)
+  // dataSource: anything with getTickRing(symbol), used to find the boundary tick
+  constructor(options = {}) {
+    const { clock = realtimeClient.clock, dataSource = realtimeClient } = options;
+    this.clock = clock;
+    this.dataSource = dataSource;
+    this.jobCounter = 0;
     this.jobs = new Map();
     this.timeframes = {
       '1s': 1000,
@@ -19,6 +25,20 @@ class Scheduler {
     this.timingErrors = [];
   }
 
+  // Swap the time source, e.g. a VirtualClock for replays. Pending jobs are cancelled.
+  setClock(clock) {
+    this.cancelAllJobs();
+    this.clock = clock;
+  }
+
+  setDataSource(dataSource) {
+    this.dataSource = dataSource;
+  }
+
+  getServerTime() {
+    return this.clock.date();
+  }
+
   scheduleAtCandleBoundary(symbol, timeframe, callback, options = {}) {
     const { offset = 5 } = options; // Default 5ms before boundary
     const intervalMs = this.timeframes[timeframe];
@@ -27,10 +47,10 @@ class Scheduler {
       throw new Error(`Invalid timeframe: ${timeframe}`);
     }
 
-    const jobId = `${symbol}_${timeframe}_${Date.now()}`;
+    const jobId = `${symbol}_${timeframe}_${++this.jobCounter}`;
     
     const scheduleNext = () => {
-      const serverTime = realtimeClient.getServerTime();
+      const serverTime = this.getServerTime();
       const nextBoundary = this.getNextCandleBoundary(serverTime, intervalMs);
       const delay = nextBoundary.getTime() - serverTime.getTime() - offset;
       
@@ -39,7 +59,7 @@ class Scheduler {
         const nextNextBoundary = new Date(nextBoundary.getTime() + intervalMs);
         const nextDelay = nextNextBoundary.getTime() - serverTime.getTime() - offset;
         
-        const timeoutId = setTimeout(() => {
+        const timeoutId = this.clock.setTimeout(() => {
           this.executeAtBoundary(symbol, timeframe, callback, nextNextBoundary);
           if (this.jobs.has(jobId)) {
             scheduleNext();
@@ -48,7 +68,7 @@ class Scheduler {
         
         this.jobs.set(jobId, { timeoutId, nextExecution: nextNextBoundary });
       } else {
-        const timeoutId = setTimeout(() => {
+        const timeoutId = this.clock.setTimeout(() => {
           this.executeAtBoundary(symbol, timeframe, callback, nextBoundary);
           if (this.jobs.has(jobId)) {
             scheduleNext();
@@ -64,7 +84,7 @@ class Scheduler {
   }
 
   executeAtBoundary(symbol, timeframe, callback, expectedTime) {
-    const actualTime = realtimeClient.getServerTime();
+    const actualTime = this.getServerTime();
     const timingError = actualTime.getTime() - expectedTime.getTime();
     
     // Record timing error for analysis
@@ -74,7 +94,7 @@ class Scheduler {
       expectedTime,
       actualTime,
       errorMs: timingError,
-      timestamp: new Date()
+      timestamp: this.getServerTime()
     });
     
     // Keep only last 1000 timing errors
@@ -83,8 +103,7 @@ class Scheduler {
     }
 
     // Get the most recent tick at or before the boundary
-    const tickBuffer = realtimeClient.getTickBuffer(symbol);
-    const boundaryTick = this.findTickAtBoundary(tickBuffer, expectedTime);
+    const boundaryTick = this.findTickAtBoundary(symbol, expectedTime);
     
     try {
       callback({
@@ -100,22 +119,10 @@ class Scheduler {
     }
   }
 
-  findTickAtBoundary(tickBuffer, boundaryTime) {
-    if (!tickBuffer || tickBuffer.length === 0) {
-      return null;
-    }
-
-    // Find the latest tick at or before the boundary
-    let latestTick = null;
-    for (let i = tickBuffer.length - 1; i >= 0; i--) {
-      const tick = tickBuffer[i];
-      if (tick.ts <= boundaryTime) {
-        latestTick = tick;
-        break;
-      }
-    }
-
-    return latestTick;
+  // Read from the symbol's tick ring in place rather than from a copy of it
+  findTickAtBoundary(symbol, boundaryTime) {
+    const ring = this.dataSource.getTickRing ? this.dataSource.getTickRing(symbol) : null;
+    return ring ? ring.latestAt(boundaryTime.getTime()) : null;
   }
 
   getNextCandleBoundary(currentTime, intervalMs) {
@@ -128,7 +135,7 @@ class Scheduler {
   cancelJob(jobId) {
     const job = this.jobs.get(jobId);
     if (job) {
-      clearTimeout(job.timeoutId);
+      this.clock.clearTimeout(job.timeoutId);
       this.jobs.delete(jobId);
       return true;
     }
@@ -170,7 +177,7 @@ class Scheduler {
   }
 
   cancelAllJobs() {
-    this.jobs.forEach(job => clearTimeout(job.timeoutId));
+    this.jobs.forEach(job => this.clock.clearTimeout(job.timeoutId));
     this.jobs.clear();
   }
 }
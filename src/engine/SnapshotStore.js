@@ -0,0 +1,124 @@
+import { realClock } from './Clock.js';
+
+// In-memory fallback with the localStorage interface (workers, SSR, private mode)
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+const defaultStorage = () => {
+  try {
+    if (typeof localStorage !== 'undefined') return localStorage;
+  } catch (error) {
+    // Access can throw when storage is disabled
+  }
+  return new MemoryStorage();
+};
+
+// Persists BaseStrategy snapshots so a reloaded session resumes warm
+export class SnapshotStore {
+  constructor(options = {}) {
+    const {
+      storage = defaultStorage(),
+      prefix = 'mamorabot:snapshot:',
+      clock = realClock,
+      maxAgeMs = 10 * 60 * 1000 // older snapshots have missed too many bars to trust
+    } = options;
+
+    this.storage = storage;
+    this.prefix = prefix;
+    this.clock = clock;
+    this.maxAgeMs = maxAgeMs;
+    this.autoSaveTimer = null;
+    this.unloadHandler = null;
+  }
+
+  // scope distinguishes the same strategy running on several symbols
+  key(strategy, scope = '') {
+    return `${this.prefix}${strategy.id ?? strategy.name}:${scope}`;
+  }
+
+  save(strategy, scope = '') {
+    try {
+      this.storage.setItem(this.key(strategy, scope), JSON.stringify({
+        savedAt: this.clock.now(),
+        snapshot: strategy.serialize()
+      }));
+      return true;
+    } catch (error) {
+      console.error(`Error saving snapshot for ${strategy.name}:`, error);
+      return false;
+    }
+  }
+
+  // Returns true if the strategy was restored; stale or incompatible snapshots are discarded
+  restore(strategy, scope = '') {
+    const key = this.key(strategy, scope);
+    const raw = this.storage.getItem(key);
+    if (!raw) return false;
+
+    try {
+      const { savedAt, snapshot } = JSON.parse(raw);
+      if (this.maxAgeMs !== null && this.clock.now() - savedAt > this.maxAgeMs) {
+        this.storage.removeItem(key);
+        return false;
+      }
+
+      strategy.restore(snapshot);
+      return true;
+    } catch (error) {
+      console.warn(`Discarding snapshot for ${strategy.name}:`, error.message);
+      this.storage.removeItem(key);
+      return false;
+    }
+  }
+
+  remove(strategy, scope = '') {
+    this.storage.removeItem(this.key(strategy, scope));
+  }
+
+  // entries: [{ strategy, scope }]
+  saveAll(entries) {
+    entries.forEach(({ strategy, scope }) => this.save(strategy, scope));
+  }
+
+  // getEntries is called on every save so strategies added later are picked up
+  startAutoSave(getEntries, intervalMs = 5000) {
+    this.stopAutoSave();
+
+    this.autoSaveTimer = this.clock.setInterval(() => {
+      this.saveAll(getEntries());
+    }, intervalMs);
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this.unloadHandler = () => this.saveAll(getEntries());
+      window.addEventListener('beforeunload', this.unloadHandler);
+    }
+  }
+
+  stopAutoSave() {
+    if (this.autoSaveTimer) {
+      this.clock.clearInterval(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
+    if (this.unloadHandler) {
+      window.removeEventListener('beforeunload', this.unloadHandler);
+      this.unloadHandler = null;
+    }
+  }
+}
+
+export const snapshotStore = new SnapshotStore();
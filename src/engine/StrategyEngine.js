@@ -1,21 +1,63 @@
-import { EMA, RSI, ATR, BollingerBands, VWAP } from './indicators/index.js';
+import { EMA, RSI, ATR, BollingerBands, VWAP, createIndicator, CANDLE_INDICATORS, SMOOTHING_MODES } from './indicators/index.js';
+import { createSeries } from './ChartSeries.js';
+import { compileRules } from './StrategyRules.js';
+import { validateParams, migrateParams, formatParamErrors } from './StrategyParams.js';
+import { TIMEFRAME_MS } from './CandleBuilder.js';
 import { supabase } from '../lib/supabaseClient.js';
+import { persistenceQueue } from '../data/persistenceQueue.js';
+import { sandboxClient } from './SandboxClient.js';
 
 class StrategyEngine {
   constructor() {
     this.strategies = new Map();
     this.activeStrategies = new Set();
     this.indicators = new Map();
+    this.persistence = persistenceQueue;
   }
 
   registerStrategy(name, strategyClass) {
     this.strategies.set(name, strategyClass);
   }
 
-  async createStrategy(name, params, userId) {
-    if (!this.strategies.has(name)) {
+  // Strategies with code run in the sandbox and params with `rules` belong to
+  // a RuleStrategy, whatever the name
+  resolveStrategyClass(name, params = {}, code = null) {
+    if (code) return SandboxStrategy;
+    const StrategyClass = params && params.rules ? RuleStrategy : this.strategies.get(name);
+    if (!StrategyClass) {
       throw new Error(`Strategy ${name} not found`);
     }
+    return StrategyClass;
+  }
+
+  // Throws with every problem found, e.g. "Unknown parameter fastPeriood (did you mean fastPeriod?)"
+  validateStrategyParams(name, params, code = null) {
+    const validation = validateParams(this.resolveStrategyClass(name, params, code), params);
+    if (!validation.valid) {
+      throw new Error(`Invalid parameters for ${name || 'rule strategy'}: ${formatParamErrors(validation.errors)}`);
+    }
+    return validation.params;
+  }
+
+  // Instantiate a registered strategy without touching the database
+  buildStrategy(name, params = {}, id = null, code = null) {
+    const StrategyClass = this.resolveStrategyClass(name, params, code);
+    const strategy = new StrategyClass(params);
+    strategy.id = id;
+    strategy.name = name;
+    strategy.code = code;
+    return strategy;
+  }
+
+  // code: source of a sandboxed strategy, loaded once in the sandbox before saving.
+  // The strategy is built before it is saved, so one that cannot be built is
+  // never stored.
+  async createStrategy(name, params, userId, code = null) {
+    const validated = this.validateStrategyParams(name, params, code);
+    const strategy = this.buildStrategy(name, params, null, code);
+    if (code) {
+      await sandboxClient.check(code, validated.inputs);
+    }
 
     const { data, error } = await supabase
       .from('strategies')
@@ -23,6 +65,7 @@ class StrategyEngine {
         owner: userId,
         name,
         params,
+        code,
         active: true
       })
       .select()
@@ -30,14 +73,30 @@ class StrategyEngine {
 
     if (error) throw error;
 
-    const StrategyClass = this.strategies.get(name);
-    const strategy = new StrategyClass(params);
     strategy.id = data.id;
-    strategy.name = name;
-    
     return strategy;
   }
 
+  // Pass the strategy name to have params validated first
+  async updateStrategyParams(strategyId, params, name = null) {
+    if (name || params.rules) {
+      this.validateStrategyParams(name, params);
+    }
+
+    const { data, error } = await supabase
+      .from('strategies')
+      .update({ params })
+      .eq('id', strategyId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Stored params that no longer validate (typos, renamed or out-of-range
+  // values) are migrated and written back; strategies that still fail are
+  // skipped without affecting the others
   async loadUserStrategies(userId) {
     const { data, error } = await supabase
       .from('strategies')
@@ -49,42 +108,59 @@ class StrategyEngine {
 
     const loadedStrategies = [];
     for (const strategyData of data) {
-      const StrategyClass = this.strategies.get(strategyData.name);
-      if (StrategyClass) {
-        const strategy = new StrategyClass(strategyData.params);
-        strategy.id = strategyData.id;
-        strategy.name = strategyData.name;
-        loadedStrategies.push(strategy);
+      const { id, name, code = null } = strategyData;
+      let params = strategyData.params || {};
+      if (!code && !params.rules && !this.strategies.has(name)) continue;
+
+      try {
+        const StrategyClass = this.resolveStrategyClass(name, params, code);
+        const validation = validateParams(StrategyClass, params);
+
+        if (!validation.valid) {
+          const migration = migrateParams(StrategyClass, params);
+          const revalidation = validateParams(StrategyClass, migration.params);
+          if (!revalidation.valid) {
+            throw new Error(`Invalid parameters: ${formatParamErrors(revalidation.errors)}`);
+          }
+
+          console.warn(`Migrated parameters of strategy ${name}: ${migration.changes.join(', ')}`);
+          params = migration.params;
+          this.updateStrategyParams(id, params).catch(updateError => {
+            console.error(`Error saving migrated parameters of strategy ${name}:`, updateError);
+          });
+        }
+
+        loadedStrategies.push(this.buildStrategy(name, params, id, code));
+      } catch (loadError) {
+        console.error(`Error loading strategy ${name}:`, loadError);
       }
     }
 
     return loadedStrategies;
   }
 
-  async evaluateStrategies(tick, candle, strategies) {
+  // options.higherCandles: higher-timeframe candles completed on this tick
+  async evaluateStrategies(tick, candle, strategies, options = {}) {
+    const { persist = true, higherCandles = [] } = options;
     const signals = [];
 
     for (const strategy of strategies) {
       try {
-        const signal = await strategy.evaluate(tick, candle);
-        if (signal) {
-          // Persist signal to database
-          const { data, error } = await supabase
-            .from('signals')
-            .insert({
-              symbol: tick.symbol,
-              strategy_id: strategy.id,
-              ts: tick.ts.toISOString(),
-              side: signal.side,
-              confidence: signal.confidence,
-              details: signal.details || {}
-            })
-            .select()
-            .single();
-
-          if (!error) {
-            signals.push({ ...signal, id: data.id, strategy: strategy.name });
-          }
+        higherCandles.forEach(higherCandle => strategy.onHigherTimeframeCandle(higherCandle));
+        const signal = await strategy.process(tick, candle);
+        if (signal && !persist) {
+          signals.push({ ...signal, id: null, strategy: strategy.name });
+        } else if (signal) {
+          // Queued rather than awaited; the row gets its database id when the queue flushes
+          const clientId = this.persistence.insert('signals', {
+            symbol: tick.symbol,
+            strategy_id: strategy.id,
+            ts: tick.ts.toISOString(),
+            side: signal.side,
+            confidence: signal.confidence,
+            details: signal.details || {}
+          });
+          signals.push({ ...signal, id: null, clientId, strategy: strategy.name });
         }
       } catch (error) {
         console.error(`Error evaluating strategy ${strategy.name}:`, error);
@@ -100,6 +176,13 @@ export class BaseStrategy {
   constructor(params = {}) {
     this.params = params;
     this.indicators = {};
+    this.higherTimeframeIndicators = {};
+    // candleType 'heikinAshi' | 'renko' | 'rangeBars' swaps the time candle for
+    // that series' bars (options in candleOptions); 'time' keeps plain OHLC
+    const { candleType = 'time', candleOptions = {} } = params;
+    this.candleSeries = candleType === 'time' ? null : createSeries(candleType, candleOptions);
+    // symbol -> { lastSide, lastTs, lastRawSide, disarmed: { long, short } }
+    this.signalGates = {};
     this.initializeIndicators();
   }
 
@@ -112,15 +195,267 @@ export class BaseStrategy {
     throw new Error('evaluate method must be implemented');
   }
 
+  // Declares an indicator fed by completed candles of a higher timeframe
+  // (rolled up by CandleBuilder.buildWithRollUp). input 'close' passes the
+  // close price, 'candle' the whole OHLC candle.
+  addHigherTimeframeIndicator(key, timeframe, indicator, input = 'close') {
+    this.higherTimeframeIndicators[key] = {
+      timeframe,
+      indicator,
+      input,
+      value: null,
+      previous: null
+    };
+  }
+
+  getHigherTimeframes() {
+    return [...new Set(Object.values(this.higherTimeframeIndicators).map(entry => entry.timeframe))];
+  }
+
+  onHigherTimeframeCandle(candle) {
+    Object.values(this.higherTimeframeIndicators).forEach(entry => {
+      if (entry.timeframe !== candle.frame) return;
+      const value = entry.indicator.update(entry.input === 'candle' ? candle : candle.close);
+      entry.previous = entry.value;
+      entry.value = value;
+    });
+  }
+
+  // Latest value, the one before it, and the slope between them
+  getHigherTimeframe(key) {
+    const { value, previous } = this.higherTimeframeIndicators[key];
+    const comparable = typeof value === 'number' && typeof previous === 'number';
+    return {
+      value,
+      previous,
+      rising: comparable && value > previous,
+      falling: comparable && value < previous
+    };
+  }
+
+  // Indicators that must be warmed up before signals are trusted. Override to
+  // leave out optional ones (e.g. filters that only see candles).
+  requiredIndicators() {
+    return Object.keys(this.indicators);
+  }
+
+  // Higher-timeframe indicators are always required, keyed as `key@timeframe`
+  getReadiness() {
+    const indicators = {};
+    let ready = true;
+
+    this.requiredIndicators().forEach(key => {
+      const indicator = this.indicators[key];
+      indicators[key] = indicator.getReadiness();
+      if (!indicators[key].ready) ready = false;
+    });
+
+    Object.entries(this.higherTimeframeIndicators).forEach(([key, entry]) => {
+      const readiness = entry.indicator.getReadiness();
+      indicators[`${key}@${entry.timeframe}`] = readiness;
+      if (!readiness.ready) ready = false;
+    });
+
+    return { ready, indicators };
+  }
+
+  // With a candleSeries, evaluate() sees the latest bar completed on this tick
+  // instead of the time candle (several Renko bricks on one tick: the last one)
+  transformCandle(tick, candle) {
+    if (!this.candleSeries) return candle;
+
+    const bars = candle ? this.candleSeries.onCandle(candle) : [];
+    bars.push(...this.candleSeries.onTick(tick));
+    return bars.length > 0 ? bars[bars.length - 1] : null;
+  }
+
+  // Whether a side that fired has moved far enough back to fire again
+  // (params.hysteresis). Strategies without a re-arm rule are always re-armed.
+  rearmed(side) {
+    return true;
+  }
+
+  getSignalGate(symbol) {
+    if (!this.signalGates[symbol]) {
+      this.signalGates[symbol] = {
+        lastSide: null,
+        lastTs: null,
+        lastRawSide: null,
+        disarmed: { long: false, short: false }
+      };
+    }
+    return this.signalGates[symbol];
+  }
+
+  // Per-symbol filters applied to ready signals, all configured through params:
+  // cooldownMs (tick time since the last emitted signal), suppressDuplicates
+  // (one signal per run of identical consecutive signals) and re-arm
+  // hysteresis (see rearmed()). Returns false to drop the signal.
+  passesSignalGate(tick, side) {
+    const { cooldownMs = 0, suppressDuplicates = false } = this.params;
+    const gate = this.getSignalGate(tick.symbol);
+    const ts = tick.ts.getTime();
+    const repeated = gate.lastRawSide === side;
+    gate.lastRawSide = side;
+
+    if (gate.disarmed[side]) return false;
+    if (suppressDuplicates && repeated) return false;
+    if (gate.lastTs !== null && ts - gate.lastTs < cooldownMs) return false;
+
+    gate.lastSide = side;
+    gate.lastTs = ts;
+    gate.disarmed[side] = true;
+    return true;
+  }
+
+  // evaluationMode 'candle': indicators see one close price per bar instead of
+  // every tick, so their values do not depend on the tick rate
+  evaluatesOnCandles() {
+    return this.params.evaluationMode === 'candle';
+  }
+
+  // evaluate() always runs so indicators keep warming up, but its signal is
+  // dropped until every required indicator is ready. In candle mode it runs
+  // only for completed bars, with a tick at the bar's close.
+  async process(tick, candle) {
+    const bar = this.transformCandle(tick, candle);
+    if (this.evaluatesOnCandles() && !bar) return null;
+
+    const input = this.evaluatesOnCandles()
+      ? {
+        symbol: tick.symbol,
+        ts: bar.ts_close instanceof Date ? bar.ts_close : tick.ts,
+        price: bar.close,
+        volume: bar.volume
+      }
+      : tick;
+    const signal = await this.evaluate(input, bar);
+
+    const gate = this.getSignalGate(input.symbol);
+    Object.keys(gate.disarmed).forEach(side => {
+      if (gate.disarmed[side] && this.rearmed(side)) gate.disarmed[side] = false;
+    });
+
+    if (!signal) {
+      gate.lastRawSide = null;
+      return null;
+    }
+
+    const readiness = this.getReadiness();
+    if (!readiness.ready) return null;
+    if (!this.passesSignalGate(input, signal.side)) return null;
+
+    return {
+      ...signal,
+      details: { ...signal.details, readiness: readiness.indicators }
+    };
+  }
+
   reset() {
     Object.values(this.indicators).forEach(indicator => {
       if (indicator.reset) indicator.reset();
     });
+    Object.values(this.higherTimeframeIndicators).forEach(entry => {
+      entry.indicator.reset();
+      entry.value = null;
+      entry.previous = null;
+    });
+    if (this.candleSeries) this.candleSeries.reset();
+    this.signalGates = {};
+  }
+
+  // Strategy-specific fields beyond the indicators (e.g. last crossover)
+  serializeState() {
+    return {};
+  }
+
+  restoreState(state) {
+    // Override in subclasses
+  }
+
+  // Releases anything held outside the instance, e.g. sandbox worker state
+  dispose() {
+    // Override in subclasses
+  }
+
+  serialize() {
+    const indicators = {};
+    Object.entries(this.indicators).forEach(([key, indicator]) => {
+      if (indicator.serialize) indicators[key] = indicator.serialize();
+    });
+
+    const higherTimeframes = {};
+    Object.entries(this.higherTimeframeIndicators).forEach(([key, entry]) => {
+      higherTimeframes[key] = {
+        indicator: entry.indicator.serialize(),
+        value: entry.value,
+        previous: entry.previous
+      };
+    });
+
+    return {
+      name: this.name,
+      params: this.params,
+      indicators,
+      higherTimeframes,
+      candleSeries: this.candleSeries ? this.candleSeries.serialize() : null,
+      signalGates: this.signalGates,
+      state: this.serializeState()
+    };
+  }
+
+  // All-or-nothing: on any mismatch the strategy is reset and the error rethrown
+  restore(snapshot) {
+    if (JSON.stringify(snapshot.params) !== JSON.stringify(this.params)) {
+      throw new Error(`Snapshot params do not match strategy ${this.name}`);
+    }
+
+    try {
+      Object.entries(this.indicators).forEach(([key, indicator]) => {
+        if (!indicator.restore) return;
+        if (!snapshot.indicators[key]) {
+          throw new Error(`Snapshot is missing indicator ${key}`);
+        }
+        indicator.restore(snapshot.indicators[key]);
+      });
+      Object.entries(this.higherTimeframeIndicators).forEach(([key, entry]) => {
+        const saved = (snapshot.higherTimeframes || {})[key];
+        if (!saved) {
+          throw new Error(`Snapshot is missing higher-timeframe indicator ${key}`);
+        }
+        entry.indicator.restore(saved.indicator);
+        entry.value = saved.value;
+        entry.previous = saved.previous;
+      });
+      if (this.candleSeries) {
+        if (!snapshot.candleSeries) {
+          throw new Error('Snapshot is missing candle series state');
+        }
+        this.candleSeries.restore(snapshot.candleSeries);
+      }
+      this.signalGates = JSON.parse(JSON.stringify(snapshot.signalGates || {}));
+      this.restoreState(snapshot.state || {});
+    } catch (error) {
+      this.reset();
+      this.restoreState({});
+      throw error;
+    }
+
+    return this;
   }
 }
 
 // EMA Crossover Strategy
 export class EMACrossStrategy extends BaseStrategy {
+  static paramSchema = {
+    fastPeriod: { type: 'integer', min: 2, max: 200, default: 12, description: 'Fast EMA period' },
+    slowPeriod: { type: 'integer', min: 3, max: 400, default: 26, description: 'Slow EMA period' }
+  };
+
+  static paramConstraints = [
+    ({ fastPeriod, slowPeriod }) => (fastPeriod < slowPeriod ? null : 'fastPeriod must be less than slowPeriod')
+  ];
+
   initializeIndicators() {
     const { fastPeriod = 12, slowPeriod = 26 } = this.params;
     this.indicators.fastEMA = new EMA(fastPeriod);
@@ -160,15 +495,72 @@ export class EMACrossStrategy extends BaseStrategy {
     this.lastCrossover = currentCrossover;
     return null;
   }
+
+  serializeState() {
+    return { lastCrossover: this.lastCrossover };
+  }
+
+  restoreState(state) {
+    this.lastCrossover = state.lastCrossover ?? null;
+  }
 }
 
 // RSI Mean Reversion Strategy
 export class RSIMeanReversionStrategy extends BaseStrategy {
+  static paramSchema = {
+    period: { type: 'integer', min: 2, max: 100, default: 14, description: 'RSI period' },
+    oversoldLevel: { type: 'number', min: 0, max: 100, default: 30, description: 'Go long at or below this RSI' },
+    overboughtLevel: { type: 'number', min: 0, max: 100, default: 70, description: 'Go short at or above this RSI' },
+    smoothing: { type: 'string', options: SMOOTHING_MODES, default: 'wilder', description: 'RSI smoothing' },
+    trendTimeframe: {
+      type: 'string',
+      options: Object.keys(TIMEFRAME_MS),
+      nullable: true,
+      default: null,
+      description: 'Only trade with the EMA slope of this higher timeframe'
+    },
+    trendPeriod: { type: 'integer', min: 2, max: 200, default: 20, description: 'Trend EMA period' },
+    hysteresis: {
+      type: 'number',
+      min: 0,
+      max: 50,
+      default: 0,
+      description: 'RSI points a level must be cleared by before it can signal again (0 = off)'
+    }
+  };
+
+  static paramConstraints = [
+    ({ oversoldLevel, overboughtLevel }) => (
+      oversoldLevel < overboughtLevel ? null : 'oversoldLevel must be below overboughtLevel'
+    )
+  ];
+
   initializeIndicators() {
-    const { period = 14, oversoldLevel = 30, overboughtLevel = 70 } = this.params;
-    this.indicators.rsi = new RSI(period);
+    const {
+      period = 14,
+      oversoldLevel = 30,
+      overboughtLevel = 70,
+      smoothing = 'wilder',
+      trendTimeframe = null, // e.g. '15m': longs only while its EMA slopes up, shorts while it slopes down
+      trendPeriod = 20
+    } = this.params;
+    this.indicators.rsi = new RSI(period, smoothing);
     this.oversoldLevel = oversoldLevel;
     this.overboughtLevel = overboughtLevel;
+    this.trendTimeframe = trendTimeframe;
+    if (trendTimeframe) {
+      this.addHigherTimeframeIndicator('trendEMA', trendTimeframe, new EMA(trendPeriod));
+    }
+  }
+
+  // e.g. oversold 30, hysteresis 5: no new long until RSI is back above 35
+  rearmed(side) {
+    const { hysteresis = 0 } = this.params;
+    const rsi = this.indicators.rsi.getValue();
+    if (hysteresis === 0 || rsi === null) return true;
+    return side === 'long'
+      ? rsi >= this.oversoldLevel + hysteresis
+      : rsi <= this.overboughtLevel - hysteresis;
   }
 
   async evaluate(tick, candle) {
@@ -192,18 +584,47 @@ export class RSIMeanReversionStrategy extends BaseStrategy {
       };
     }
 
+    if (signal && this.trendTimeframe) {
+      const trend = this.getHigherTimeframe('trendEMA');
+      if (signal.side === 'long' ? !trend.rising : !trend.falling) return null;
+      signal.details.trendEMA = trend.value;
+    }
+
     return signal;
   }
 }
 
 // Bollinger Bands Strategy
 export class BollingerBandsStrategy extends BaseStrategy {
+  static paramSchema = {
+    period: { type: 'integer', min: 2, max: 200, default: 20, description: 'Moving average period' },
+    stdDev: { type: 'number', min: 0.5, max: 5, default: 2, description: 'Band width in standard deviations' },
+    hysteresis: {
+      type: 'number',
+      min: 0,
+      max: 0.5,
+      default: 0,
+      description: 'Fraction of the band width price must move back inside a band before it can signal again (0 = off)'
+    }
+  };
+
   initializeIndicators() {
     const { period = 20, stdDev = 2 } = this.params;
     this.indicators.bb = new BollingerBands(period, stdDev);
   }
 
+  rearmed(side) {
+    const { hysteresis = 0 } = this.params;
+    const bands = this.indicators.bb.getValue();
+    if (hysteresis === 0 || !bands || this.lastPrice === undefined) return true;
+    const margin = (bands.upper - bands.lower) * hysteresis;
+    return side === 'long'
+      ? this.lastPrice >= bands.lower + margin
+      : this.lastPrice <= bands.upper - margin;
+  }
+
   async evaluate(tick, candle) {
+    this.lastPrice = tick.price;
     const bands = this.indicators.bb.update(tick.price);
     
     if (!bands) return null;
@@ -241,6 +662,33 @@ export class BollingerBandsStrategy extends BaseStrategy {
 
 // Multi-Indicator Strategy combining EMA, RSI, and ATR
 export class MultiIndicatorStrategy extends BaseStrategy {
+  static paramSchema = {
+    emaPeriod: { type: 'integer', min: 2, max: 200, default: 21, description: 'Trend EMA period' },
+    rsiPeriod: { type: 'integer', min: 2, max: 100, default: 14, description: 'RSI period' },
+    atrPeriod: { type: 'integer', min: 2, max: 100, default: 14, description: 'ATR period' },
+    rsiOversold: { type: 'number', min: 0, max: 100, default: 30, description: 'Long RSI threshold' },
+    rsiOverbought: { type: 'number', min: 0, max: 100, default: 70, description: 'Short RSI threshold' },
+    minATRMultiple: {
+      type: 'number',
+      min: 0,
+      max: 10,
+      default: 1.5,
+      description: 'Minimum ATR, in multiples of 0.1% of price'
+    },
+    smoothing: { type: 'string', options: SMOOTHING_MODES, default: 'wilder', description: 'RSI and ATR smoothing' },
+    hysteresis: {
+      type: 'number',
+      min: 0,
+      max: 50,
+      default: 0,
+      description: 'RSI points a threshold must be cleared by before it can signal again (0 = off)'
+    }
+  };
+
+  static paramConstraints = [
+    ({ rsiOversold, rsiOverbought }) => (rsiOversold < rsiOverbought ? null : 'rsiOversold must be below rsiOverbought')
+  ];
+
   initializeIndicators() {
     const { 
       emaPeriod = 21, 
@@ -248,17 +696,32 @@ export class MultiIndicatorStrategy extends BaseStrategy {
       atrPeriod = 14,
       rsiOversold = 30,
       rsiOverbought = 70,
-      minATRMultiple = 1.5
+      minATRMultiple = 1.5,
+      smoothing = 'wilder'
     } = this.params;
     
     this.indicators.ema = new EMA(emaPeriod);
-    this.indicators.rsi = new RSI(rsiPeriod);
-    this.indicators.atr = new ATR(atrPeriod);
+    this.indicators.rsi = new RSI(rsiPeriod, smoothing);
+    this.indicators.atr = new ATR(atrPeriod, smoothing);
     this.rsiOversold = rsiOversold;
     this.rsiOverbought = rsiOverbought;
     this.minATRMultiple = minATRMultiple;
   }
 
+  // ATR only sees candles and is skipped as a filter until it has a value
+  requiredIndicators() {
+    return ['ema', 'rsi'];
+  }
+
+  rearmed(side) {
+    const { hysteresis = 0 } = this.params;
+    const rsi = this.indicators.rsi.getValue();
+    if (hysteresis === 0 || rsi === null) return true;
+    return side === 'long'
+      ? rsi >= this.rsiOversold + hysteresis
+      : rsi <= this.rsiOverbought - hysteresis;
+  }
+
   async evaluate(tick, candle) {
     const price = tick.price;
     const ema = this.indicators.ema.update(price);
@@ -322,6 +785,419 @@ export class MultiIndicatorStrategy extends BaseStrategy {
   }
 }
 
+// Strategy defined by declarative JSON rules in params.rules (format in
+// StrategyRules.js). Price indicators update on every tick, candle indicators
+// on completed candles, and `timeframe` indicators on higher-timeframe candles.
+export class RuleStrategy extends BaseStrategy {
+  static paramSchema = {
+    rules: { type: 'object', description: 'Indicators and signal conditions in the rule format' }
+  };
+
+  static paramConstraints = [
+    ({ rules }) => {
+      try {
+        compileRules(rules);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  ];
+
+  initializeIndicators() {
+    const program = compileRules(this.params.rules);
+    this.match = program.match;
+    this.ruleIndicators = program.indicators;
+    this.ruleIndicators.forEach(({ key, type, timeframe, params }) => {
+      const indicator = createIndicator(type, params);
+      if (timeframe) {
+        this.addHigherTimeframeIndicator(key, timeframe, indicator, CANDLE_INDICATORS.has(type) ? 'candle' : 'close');
+      } else {
+        this.indicators[key] = indicator;
+      }
+    });
+    this.rearmCondition = program.rearmed;
+    this.lastCandle = null;
+    this.currentValues = null;
+    this.previousValues = null;
+  }
+
+  rearmed(side) {
+    return this.rearmCondition(side, this.currentValues, this.previousValues);
+  }
+
+  async evaluate(tick, candle) {
+    if (candle) {
+      const { open, high, low, close, volume = null } = candle;
+      this.lastCandle = { open, high, low, close, volume };
+    }
+
+    // open/high/low/close/volume are the last completed candle's
+    const values = {
+      open: null,
+      high: null,
+      low: null,
+      close: null,
+      volume: null,
+      ...this.lastCandle,
+      price: tick.price
+    };
+
+    this.ruleIndicators.forEach(({ key, type, timeframe }) => {
+      if (timeframe) {
+        values[key] = this.getHigherTimeframe(key).value;
+        return;
+      }
+
+      const indicator = this.indicators[key];
+      if (CANDLE_INDICATORS.has(type)) {
+        if (candle) indicator.update(candle);
+        values[key] = indicator.getValue();
+      } else if (type === 'VWAP') {
+        values[key] = indicator.update(tick.price, tick.volume || 1);
+      } else {
+        values[key] = indicator.update(tick.price);
+      }
+    });
+
+    this.previousValues = this.currentValues;
+    this.currentValues = values;
+
+    const matched = this.match(values, this.previousValues);
+    if (!matched) return null;
+
+    return {
+      side: matched.side,
+      confidence: matched.confidence,
+      details: { rule: matched.rule, values }
+    };
+  }
+
+  serializeState() {
+    return {
+      lastCandle: this.lastCandle,
+      currentValues: this.currentValues,
+      previousValues: this.previousValues
+    };
+  }
+
+  restoreState(state) {
+    this.lastCandle = state.lastCandle ?? null;
+    this.currentValues = state.currentValues ?? null;
+    this.previousValues = state.previousValues ?? null;
+  }
+}
+
+// Meta-strategy over registered strategies. Each member runs through its own
+// process() (readiness, candle series and signal filters included) and its
+// signal stays a vote for voteWindowMs of tick time. The ensemble signals when
+// more than `threshold` of the total weight agrees ('weighted') or at least
+// `quorum` members agree ('quorum'); the votes behind a signal are then spent.
+// With weighting 'accuracy' each member's weight is scaled by how often its
+// recent signals were followed by a move its way after accuracyHorizonMs.
+export class EnsembleStrategy extends BaseStrategy {
+  static paramSchema = {
+    members: {
+      type: 'object',
+      description: 'Member strategies by key, e.g. { "ema": { "strategy": "EMA_Cross", "params": {}, "weight": 1 } }'
+    },
+    vote: { type: 'string', options: ['weighted', 'quorum'], default: 'weighted', description: 'How member votes combine' },
+    threshold: {
+      type: 'number',
+      min: 0,
+      max: 1,
+      default: 0.5,
+      description: 'Weighted vote: share of the total weight that must be exceeded'
+    },
+    quorum: { type: 'integer', min: 1, default: 2, description: 'Quorum vote: members that must agree' },
+    voteWindowMs: {
+      type: 'integer',
+      min: 0,
+      default: 60000,
+      description: 'How long a member signal counts as a vote, in milliseconds of tick time'
+    },
+    weighting: {
+      type: 'string',
+      options: ['fixed', 'accuracy'],
+      default: 'fixed',
+      description: 'Fixed member weights, or weights scaled by recent realised accuracy'
+    },
+    accuracyHorizonMs: {
+      type: 'integer',
+      min: 1000,
+      default: 60000,
+      description: 'A member signal is correct if price moved its way after this long'
+    },
+    accuracyWindow: {
+      type: 'integer',
+      min: 1,
+      max: 500,
+      default: 20,
+      description: 'Recent outcomes per member used for accuracy weights'
+    }
+  };
+
+  static paramConstraints = [
+    ({ members }) => {
+      const entries = Object.entries(members);
+      if (entries.length === 0) return 'members must name at least one strategy';
+
+      for (const [key, member] of entries) {
+        if (!member || typeof member !== 'object' || typeof member.strategy !== 'string') {
+          return `members.${key} must be { strategy, params, weight }`;
+        }
+        const { strategy, params = {}, weight = 1 } = member;
+        if (typeof weight !== 'number' || !(weight > 0)) {
+          return `members.${key}.weight must be a positive number`;
+        }
+        try {
+          const validation = validateParams(strategyEngine.resolveStrategyClass(strategy, params), params);
+          if (!validation.valid) return `members.${key}: ${formatParamErrors(validation.errors)}`;
+        } catch (error) {
+          return `members.${key}: ${error.message}`;
+        }
+      }
+      return null;
+    },
+    ({ members, vote, quorum }) => (
+      vote !== 'quorum' || quorum <= Object.keys(members).length
+        ? null
+        : 'quorum cannot exceed the number of members'
+    )
+  ];
+
+  initializeIndicators() {
+    this.members = Object.entries(this.params.members).map(([key, { strategy, params = {}, weight = 1 }]) => ({
+      key,
+      weight,
+      strategy: strategyEngine.buildStrategy(strategy, params),
+      vote: null,        // { side, confidence, ts }
+      predictions: [],   // signals awaiting their accuracy horizon: { side, price, ts }
+      outcomes: []       // recent hits (true) and misses (false)
+    }));
+  }
+
+  getHigherTimeframes() {
+    return [...new Set(this.members.flatMap(member => member.strategy.getHigherTimeframes()))];
+  }
+
+  onHigherTimeframeCandle(candle) {
+    this.members.forEach(member => member.strategy.onHigherTimeframeCandle(candle));
+  }
+
+  // Ready once every member is; member indicators are keyed as `member.indicator`
+  getReadiness() {
+    const indicators = {};
+    let ready = true;
+
+    this.members.forEach(member => {
+      const readiness = member.strategy.getReadiness();
+      if (!readiness.ready) ready = false;
+      Object.entries(readiness.indicators).forEach(([key, value]) => {
+        indicators[`${member.key}.${key}`] = value;
+      });
+    });
+
+    return { ready, indicators };
+  }
+
+  // Laplace-smoothed hit rate, so a member without outcomes keeps half its weight
+  getMemberWeight(member) {
+    if (this.params.weighting !== 'accuracy') return member.weight;
+    const hits = member.outcomes.filter(Boolean).length;
+    return member.weight * (hits + 1) / (member.outcomes.length + 2);
+  }
+
+  scorePredictions(tick) {
+    const { accuracyHorizonMs = 60000, accuracyWindow = 20 } = this.params;
+    const ts = tick.ts.getTime();
+
+    this.members.forEach(member => {
+      while (member.predictions.length > 0 && ts - member.predictions[0].ts >= accuracyHorizonMs) {
+        const { side, price } = member.predictions.shift();
+        member.outcomes.push(side === 'long' ? tick.price > price : tick.price < price);
+        if (member.outcomes.length > accuracyWindow) member.outcomes.shift();
+      }
+    });
+  }
+
+  async evaluate(tick, candle) {
+    const { vote = 'weighted', threshold = 0.5, quorum = 2, voteWindowMs = 60000, weighting = 'fixed' } = this.params;
+    const ts = tick.ts.getTime();
+
+    if (weighting === 'accuracy') this.scorePredictions(tick);
+
+    for (const member of this.members) {
+      const signal = await member.strategy.process(tick, candle);
+      if (!signal) continue;
+      member.vote = { side: signal.side, confidence: signal.confidence, ts };
+      if (weighting === 'accuracy') member.predictions.push({ side: signal.side, price: tick.price, ts });
+    }
+
+    const tally = { long: { weight: 0, count: 0 }, short: { weight: 0, count: 0 } };
+    let totalWeight = 0;
+    const votes = {};
+
+    this.members.forEach(member => {
+      const weight = this.getMemberWeight(member);
+      totalWeight += weight;
+      if (member.vote && ts - member.vote.ts > voteWindowMs) member.vote = null;
+      if (!member.vote) return;
+
+      tally[member.vote.side].weight += weight;
+      tally[member.vote.side].count++;
+      votes[member.key] = { ...member.vote, weight };
+    });
+
+    const side = tally.long.weight >= tally.short.weight ? 'long' : 'short';
+    const other = side === 'long' ? 'short' : 'long';
+    const share = totalWeight > 0 ? tally[side].weight / totalWeight : 0;
+    const agreed = vote === 'quorum'
+      ? tally[side].count >= quorum && tally[side].count > tally[other].count
+      : share > threshold;
+    if (!agreed) return null;
+
+    this.members.forEach(member => {
+      if (member.vote && member.vote.side === side) member.vote = null;
+    });
+
+    return {
+      side,
+      confidence: share,
+      details: { vote, share, agreeing: tally[side].count, votes }
+    };
+  }
+
+  reset() {
+    super.reset();
+    this.members.forEach(member => {
+      member.strategy.reset();
+      member.vote = null;
+      member.predictions = [];
+      member.outcomes = [];
+    });
+  }
+
+  serializeState() {
+    const members = {};
+    this.members.forEach(member => {
+      members[member.key] = {
+        snapshot: member.strategy.serialize(),
+        vote: member.vote,
+        predictions: member.predictions,
+        outcomes: member.outcomes
+      };
+    });
+    return { members };
+  }
+
+  // A failed restore() has already reset the members and passes an empty state
+  restoreState(state) {
+    if (!state.members) return;
+
+    this.members.forEach(member => {
+      const saved = state.members[member.key];
+      if (!saved) {
+        throw new Error(`Snapshot is missing ensemble member ${member.key}`);
+      }
+      member.strategy.restore(saved.snapshot);
+      member.vote = saved.vote;
+      member.predictions = [...saved.predictions];
+      member.outcomes = [...saved.outcomes];
+    });
+  }
+}
+
+// Cheap fingerprint so a snapshot is not restored into different code
+const hashCode = (text = '') => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return hash;
+};
+
+// User code (strategy.code, stored in the strategies table) run by
+// sandbox.worker.js through the SandboxClient; params.inputs reach it as
+// ctx.params. Errors are reported through sandboxClient.onError and the tick
+// yields no signal; after maxConsecutiveErrors in a row the strategy stops
+// evaluating until it is reset.
+export class SandboxStrategy extends BaseStrategy {
+  static paramSchema = {
+    inputs: { type: 'object', default: {}, description: 'Values passed to the strategy code as ctx.params' }
+  };
+
+  initializeIndicators() {
+    this.sandbox = sandboxClient;
+    this.sandboxKey = null;       // set once loaded into the worker
+    this.sandboxSnapshot = null;  // restored or released state to load with
+    this.consecutiveErrors = 0;
+    this.lastError = null;
+    this.disabled = false;
+  }
+
+  async evaluate(tick, candle) {
+    if (this.disabled) return null;
+
+    try {
+      if (!this.sandboxKey || !this.sandbox.isLoaded(this.sandboxKey)) {
+        this.sandboxKey = await this.sandbox.load(this.code, this.params.inputs, this.sandboxSnapshot, this.sandboxKey);
+      }
+      const signal = await this.sandbox.evaluate(this.sandboxKey, tick, candle);
+      this.consecutiveErrors = 0;
+      return signal;
+    } catch (error) {
+      this.consecutiveErrors++;
+      this.lastError = error.message;
+      this.disabled = this.consecutiveErrors >= this.sandbox.maxConsecutiveErrors;
+      this.sandbox.reportError({
+        source: this,
+        strategy: this.name,
+        strategyId: this.id,
+        symbol: tick.symbol,
+        error: error.message,
+        disabled: this.disabled
+      });
+      return null;
+    }
+  }
+
+  reset() {
+    super.reset();
+    if (this.sandboxKey) this.sandbox.unload(this.sandboxKey);
+    this.sandboxKey = null;
+    this.sandboxSnapshot = null;
+    this.consecutiveErrors = 0;
+    this.lastError = null;
+    this.disabled = false;
+  }
+
+  // The worker copy is dropped but its snapshot is kept, so a later
+  // evaluation picks up where this one stopped
+  dispose() {
+    if (!this.sandboxKey) return;
+    this.sandboxSnapshot = this.sandbox.getSnapshot(this.sandboxKey);
+    this.sandbox.unload(this.sandboxKey);
+    this.sandboxKey = null;
+  }
+
+  serializeState() {
+    return {
+      codeHash: hashCode(this.code),
+      sandbox: this.sandboxKey ? this.sandbox.getSnapshot(this.sandboxKey) : this.sandboxSnapshot
+    };
+  }
+
+  restoreState(state) {
+    if (state.codeHash !== undefined && state.codeHash !== hashCode(this.code)) {
+      throw new Error(`Snapshot was taken with different code for strategy ${this.name}`);
+    }
+    if (this.sandboxKey) this.sandbox.unload(this.sandboxKey);
+    this.sandboxKey = null;
+    this.sandboxSnapshot = state.sandbox ?? null;
+  }
+}
+
 // Create and export strategy engine instance
 export const strategyEngine = new StrategyEngine();
 
@@ -329,4 +1205,5 @@ export const strategyEngine = new StrategyEngine();
 strategyEngine.registerStrategy('EMA_Cross', EMACrossStrategy);
 strategyEngine.registerStrategy('RSI_MeanReversion', RSIMeanReversionStrategy);
 strategyEngine.registerStrategy('BollingerBands', BollingerBandsStrategy);
-strategyEngine.registerStrategy('MultiIndicator', MultiIndicatorStrategy);
\ No newline at end of file
+strategyEngine.registerStrategy('MultiIndicator', MultiIndicatorStrategy);
+strategyEngine.registerStrategy('Ensemble', EnsembleStrategy);
\ No newline at end of file
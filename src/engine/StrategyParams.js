@@ -0,0 +1,259 @@
+import { SERIES_TYPES } from './ChartSeries.js';
+
+// Parameter schemas for strategy classes. A strategy declares
+//   static paramSchema = { name: { type, default, min, max, options, nullable, aliases, description } }
+// with type 'integer' | 'number' | 'boolean' | 'string' | 'object', and optionally
+//   static paramConstraints = [params => message | null]
+// for rules spanning several parameters. Parameters every strategy accepts
+// are added from BASE_PARAM_SCHEMA.
+
+export const BASE_PARAM_SCHEMA = {
+  candleType: {
+    type: 'string',
+    options: ['time', ...SERIES_TYPES],
+    default: 'time',
+    description: 'Bars the strategy sees: time candles or a derived series'
+  },
+  candleOptions: {
+    type: 'object',
+    default: {},
+    description: 'Options for the derived series, e.g. { "boxSize": 0.001 } for Renko'
+  },
+  evaluationMode: {
+    type: 'string',
+    options: ['tick', 'candle'],
+    default: 'tick',
+    description: 'Evaluate on every tick, or once per completed candle using its close'
+  },
+  cooldownMs: {
+    type: 'integer',
+    min: 0,
+    default: 0,
+    description: 'Minimum time between signals for the same symbol, in milliseconds'
+  },
+  suppressDuplicates: {
+    type: 'boolean',
+    default: false,
+    description: 'Emit one signal per run of identical consecutive signals'
+  }
+};
+
+// Options of each derived candle series (see ChartSeries.js), checked like
+// parameters when candleType selects that series
+export const CANDLE_OPTIONS_SCHEMA = {
+  heikinAshi: {},
+  renko: {
+    boxSize: { type: 'number', nullable: true, default: null, description: 'Brick size in price' },
+    atrMultiple: { type: 'number', nullable: true, default: null, description: 'Brick size as a multiple of the ATR' },
+    atrPeriod: { type: 'integer', min: 1, default: 14, description: 'ATR period for atrMultiple' }
+  },
+  rangeBars: {
+    range: { type: 'number', description: 'High-low span that closes a bar' }
+  }
+};
+
+const CANDLE_OPTIONS_CONSTRAINTS = {
+  renko: [({ boxSize, atrMultiple }) => (boxSize > 0 || atrMultiple > 0 ? null : 'Renko needs a positive boxSize or atrMultiple')],
+  rangeBars: [({ range }) => (range > 0 ? null : 'Range bars need a positive range')]
+};
+
+export const getParamSchema = (StrategyClass) => ({
+  ...BASE_PARAM_SCHEMA,
+  ...(StrategyClass.paramSchema || {})
+});
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Levenshtein distance, for "did you mean" on misspelt parameter names
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+// The only known parameter within two edits of `name`, if there is exactly one
+const closestParam = (schema, name) => {
+  const candidates = Object.keys(schema).filter(key => editDistance(key.toLowerCase(), name.toLowerCase()) <= 2);
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+const checkValue = (spec, value) => {
+  if (value === null) {
+    return spec.nullable ? null : 'must not be null';
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (spec.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+      if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (spec.options && !spec.options.includes(value)) return `must be one of ${spec.options.join(', ')}`;
+      return null;
+    case 'object':
+      return isPlainObject(value) ? null : 'must be an object';
+    default:
+      return `has unknown schema type ${spec.type}`;
+  }
+};
+
+// Errors for candleOptions under the given candleType; time candles take none
+const validateCandleOptions = (candleType, options) => {
+  const schema = CANDLE_OPTIONS_SCHEMA[candleType];
+  if (!schema) return [];
+
+  const errors = [];
+  Object.keys(options).forEach(name => {
+    if (schema[name]) return;
+    const suggestion = closestParam(schema, name);
+    errors.push({
+      param: 'candleOptions',
+      message: suggestion
+        ? `Unknown ${candleType} option ${name} (did you mean ${suggestion}?)`
+        : `Unknown ${candleType} option ${name}`
+    });
+  });
+
+  const normalized = {};
+  Object.entries(schema).forEach(([name, spec]) => {
+    if (options[name] === undefined) {
+      if (spec.default === undefined && !spec.nullable) {
+        errors.push({ param: 'candleOptions', message: `${candleType} needs candleOptions.${name}` });
+      }
+      normalized[name] = spec.default ?? null;
+      return;
+    }
+
+    const message = checkValue(spec, options[name]);
+    if (message) {
+      errors.push({ param: 'candleOptions', message: `candleOptions.${name} ${message}` });
+    }
+    normalized[name] = options[name];
+  });
+
+  if (errors.length === 0) {
+    (CANDLE_OPTIONS_CONSTRAINTS[candleType] || []).forEach(constraint => {
+      const message = constraint(normalized);
+      if (message) errors.push({ param: 'candleOptions', message });
+    });
+  }
+
+  return errors;
+};
+
+// Returns { valid, errors: [{ param, message }], params } where params has the
+// defaults filled in. Unknown parameters are errors so typos do not silently
+// fall back to defaults.
+export const validateParams = (StrategyClass, params = {}) => {
+  const schema = getParamSchema(StrategyClass);
+  const errors = [];
+  const normalized = {};
+
+  if (!isPlainObject(params)) {
+    return { valid: false, errors: [{ param: null, message: 'Parameters must be an object' }], params: {} };
+  }
+
+  Object.keys(params).forEach(name => {
+    if (schema[name]) return;
+    const suggestion = closestParam(schema, name);
+    errors.push({
+      param: name,
+      message: suggestion
+        ? `Unknown parameter ${name} (did you mean ${suggestion}?)`
+        : `Unknown parameter ${name}`
+    });
+  });
+
+  Object.entries(schema).forEach(([name, spec]) => {
+    if (params[name] === undefined) {
+      if (spec.default === undefined && !spec.nullable) {
+        errors.push({ param: name, message: `${name} is required` });
+      }
+      normalized[name] = spec.default ?? null;
+      return;
+    }
+
+    const message = checkValue(spec, params[name]);
+    if (message) {
+      errors.push({ param: name, message: `${name} ${message}` });
+    }
+    normalized[name] = params[name];
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateCandleOptions(normalized.candleType, normalized.candleOptions));
+  }
+
+  if (errors.length === 0) {
+    (StrategyClass.paramConstraints || []).forEach(constraint => {
+      const message = constraint(normalized);
+      if (message) errors.push({ param: null, message });
+    });
+  }
+
+  return { valid: errors.length === 0, errors, params: normalized };
+};
+
+// Best-effort repair of stored params: renames aliases and near-miss typos,
+// coerces numeric strings, rounds and clamps numbers, and drops anything still
+// unusable so the default applies. Returns { params, changes } where changes
+// describes each edit.
+export const migrateParams = (StrategyClass, params = {}) => {
+  const schema = getParamSchema(StrategyClass);
+  const migrated = {};
+  const changes = [];
+
+  Object.entries(isPlainObject(params) ? params : {}).forEach(([name, value]) => {
+    let target = name;
+    if (!schema[name]) {
+      target = Object.keys(schema).find(key => (schema[key].aliases || []).includes(name))
+        || closestParam(schema, name);
+      if (!target || params[target] !== undefined || migrated[target] !== undefined) {
+        changes.push(`dropped unknown parameter ${name}`);
+        return;
+      }
+      changes.push(`renamed ${name} to ${target}`);
+    }
+
+    const spec = schema[target];
+    let repaired = value;
+
+    if ((spec.type === 'integer' || spec.type === 'number') && typeof repaired === 'string' && repaired.trim() !== '') {
+      repaired = Number(repaired);
+    }
+    if (spec.type === 'integer' && Number.isFinite(repaired) && !Number.isInteger(repaired)) {
+      repaired = Math.round(repaired);
+    }
+    if (typeof repaired === 'number' && Number.isFinite(repaired)) {
+      if (spec.min !== undefined) repaired = Math.max(spec.min, repaired);
+      if (spec.max !== undefined) repaired = Math.min(spec.max, repaired);
+    }
+
+    if (checkValue(spec, repaired)) {
+      changes.push(`dropped invalid ${target} (${JSON.stringify(value)}), using default`);
+      return;
+    }
+    if (repaired !== value) {
+      changes.push(`changed ${target} from ${JSON.stringify(value)} to ${JSON.stringify(repaired)}`);
+    }
+    migrated[target] = repaired;
+  });
+
+  return { params: migrated, changes };
+};
+
+export const formatParamErrors = (errors) => errors.map(error => error.message).join('; ');
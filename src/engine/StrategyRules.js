@@ -0,0 +1,258 @@
+import { INDICATOR_TYPES } from './indicators/index.js';
+
+// Declarative strategy rules, stored as JSON in strategies.params.rules:
+//
+// {
+//   "indicators": {
+//     "fast": { "type": "EMA", "period": 9 },
+//     "slow": { "type": "EMA", "period": 21 },
+//     "bb": { "type": "BollingerBands", "period": 20, "stdDev": 2 },
+//     "trend": { "type": "EMA", "period": 50, "timeframe": "15m" }
+//   },
+//   "signals": [
+//     {
+//       "side": "long",
+//       "when": { "all": [{ "crossesAbove": ["fast", "slow"] }, { "lt": ["price", "bb.upper"] }] },
+//       "confidence": { "div": [{ "sub": ["fast", "slow"] }, "slow"] }
+//     }
+//   ]
+// }
+//
+// Operands are numbers, references ('price', 'open', 'high', 'low', 'close',
+// 'volume', an indicator key, or 'key.field' for multi-value indicators) or
+// arithmetic ({ add | sub | mul | div | min | max: [a, b, ...] }, { abs: a }).
+// Conditions are comparisons ({ gt | gte | lt | lte: [a, b] }), thresholds
+// ({ between: [value, low, high] }), crossovers ({ crossesAbove | crossesBelow:
+// [a, b] }) and groups ({ all: [...] }, { any: [...] }, { not: condition }).
+// The first signal whose condition holds wins; confidence defaults to 1 and is
+// clamped to 0..1. An optional per-signal `rearm` condition must hold before
+// that side can signal again (hysteresis).
+
+export const PRICE_FIELDS = ['price', 'open', 'high', 'low', 'close', 'volume'];
+
+// Indicators whose value is an object; references must pick a field
+export const INDICATOR_FIELDS = {
+  BollingerBands: ['upper', 'middle', 'lower', 'bandwidth'],
+  MACD: ['macd', 'signal', 'histogram'],
+  Stochastic: ['k', 'd'],
+  ADX: ['adx', 'plusDI', 'minusDI']
+};
+
+const COMPARISONS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b
+};
+
+const ARITHMETIC = {
+  add: values => values.reduce((sum, value) => sum + value, 0),
+  sub: values => values.slice(1).reduce((result, value) => result - value, values[0]),
+  mul: values => values.reduce((product, value) => product * value, 1),
+  div: values => values.slice(1).reduce((result, value) => result / value, values[0]),
+  min: values => Math.min(...values),
+  max: values => Math.max(...values)
+};
+
+const SIDES = ['long', 'short'];
+
+const fail = (path, message) => {
+  throw new Error(`Invalid strategy rules at ${path}: ${message}`);
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { op: args } with exactly one key
+const singleKey = (node, path) => {
+  if (!isPlainObject(node)) fail(path, 'expected an object');
+  const keys = Object.keys(node);
+  if (keys.length !== 1) fail(path, `expected exactly one operator, got ${keys.length}`);
+  return keys[0];
+};
+
+const compileIndicators = (definitions) => {
+  if (!isPlainObject(definitions)) fail('indicators', 'expected an object of indicator definitions');
+
+  return Object.entries(definitions).map(([key, definition]) => {
+    const path = `indicators.${key}`;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) fail(path, 'keys must be identifiers');
+    if (PRICE_FIELDS.includes(key)) fail(path, `'${key}' is reserved for price data`);
+    if (!isPlainObject(definition)) fail(path, 'expected an object');
+
+    const { type, timeframe = null, ...params } = definition;
+    if (!INDICATOR_TYPES.includes(type)) fail(`${path}.type`, `unknown indicator type ${type}`);
+    if (timeframe !== null && typeof timeframe !== 'string') fail(`${path}.timeframe`, 'expected a string');
+    Object.entries(params).forEach(([name, value]) => {
+      if (typeof value !== 'number' && typeof value !== 'string') {
+        fail(`${path}.${name}`, 'indicator parameters must be numbers or strings');
+      }
+    });
+
+    return { key, type, timeframe, params };
+  });
+};
+
+const compileReference = (reference, path, types) => {
+  if (PRICE_FIELDS.includes(reference)) {
+    return values => values[reference] ?? null;
+  }
+
+  const [key, field, ...rest] = reference.split('.');
+  if (!types.has(key)) fail(path, `unknown reference ${reference}`);
+  if (rest.length > 0) fail(path, `unknown reference ${reference}`);
+
+  const fields = INDICATOR_FIELDS[types.get(key)];
+  if (fields && !field) fail(path, `${key} has several values; use one of ${fields.map(name => `${key}.${name}`).join(', ')}`);
+  if (!fields && field) fail(path, `${key} has a single value`);
+  if (field && !fields.includes(field)) fail(path, `${key} has no field ${field}`);
+
+  return field
+    ? values => (values[key] ? values[key][field] ?? null : null)
+    : values => values[key] ?? null;
+};
+
+// Operand -> (values) => number | null; null propagates
+const compileOperand = (node, path, types) => {
+  if (typeof node === 'number') {
+    if (!Number.isFinite(node)) fail(path, 'numbers must be finite');
+    return () => node;
+  }
+  if (typeof node === 'string') {
+    return compileReference(node, path, types);
+  }
+
+  const op = singleKey(node, path);
+  if (op === 'abs') {
+    const operand = compileOperand(node.abs, `${path}.abs`, types);
+    return values => {
+      const value = operand(values);
+      return value === null ? null : Math.abs(value);
+    };
+  }
+  if (!ARITHMETIC[op]) fail(path, `unknown operator ${op}`);
+
+  const args = node[op];
+  if (!Array.isArray(args) || args.length < 2) fail(`${path}.${op}`, 'expected at least two operands');
+  const operands = args.map((arg, index) => compileOperand(arg, `${path}.${op}[${index}]`, types));
+
+  return values => {
+    const resolved = operands.map(operand => operand(values));
+    if (resolved.some(value => value === null)) return null;
+    const result = ARITHMETIC[op](resolved);
+    return Number.isFinite(result) ? result : null;
+  };
+};
+
+const compileOperands = (args, count, path, types) => {
+  if (!Array.isArray(args) || args.length !== count) fail(path, `expected ${count} operands`);
+  return args.map((arg, index) => compileOperand(arg, `${path}[${index}]`, types));
+};
+
+// Condition -> (values, previous) => boolean; previous is null on the first tick
+const compileCondition = (node, path, types) => {
+  const op = singleKey(node, path);
+  const args = node[op];
+  const argPath = `${path}.${op}`;
+
+  if (op === 'all' || op === 'any') {
+    if (!Array.isArray(args) || args.length === 0) fail(argPath, 'expected a non-empty list of conditions');
+    const conditions = args.map((arg, index) => compileCondition(arg, `${argPath}[${index}]`, types));
+    return op === 'all'
+      ? (values, previous) => conditions.every(condition => condition(values, previous))
+      : (values, previous) => conditions.some(condition => condition(values, previous));
+  }
+
+  if (op === 'not') {
+    const condition = compileCondition(args, argPath, types);
+    return (values, previous) => !condition(values, previous);
+  }
+
+  if (COMPARISONS[op]) {
+    const [left, right] = compileOperands(args, 2, argPath, types);
+    return values => {
+      const a = left(values);
+      const b = right(values);
+      return a !== null && b !== null && COMPARISONS[op](a, b);
+    };
+  }
+
+  if (op === 'between') {
+    const [value, low, high] = compileOperands(args, 3, argPath, types);
+    return values => {
+      const v = value(values);
+      const lo = low(values);
+      const hi = high(values);
+      return v !== null && lo !== null && hi !== null && v >= lo && v <= hi;
+    };
+  }
+
+  if (op === 'crossesAbove' || op === 'crossesBelow') {
+    const [left, right] = compileOperands(args, 2, argPath, types);
+    const above = op === 'crossesAbove';
+    return (values, previous) => {
+      if (!previous) return false;
+      const a = left(values);
+      const b = right(values);
+      const prevA = left(previous);
+      const prevB = right(previous);
+      if (a === null || b === null || prevA === null || prevB === null) return false;
+      return above ? prevA <= prevB && a > b : prevA >= prevB && a < b;
+    };
+  }
+
+  return fail(path, `unknown condition ${op}`);
+};
+
+const compileSignal = (rule, index, types) => {
+  const path = `signals[${index}]`;
+  if (!isPlainObject(rule)) fail(path, 'expected an object');
+  if (!SIDES.includes(rule.side)) fail(`${path}.side`, `expected one of ${SIDES.join(', ')}`);
+  if (rule.when === undefined) fail(`${path}.when`, 'a condition is required');
+
+  return {
+    side: rule.side,
+    when: compileCondition(rule.when, `${path}.when`, types),
+    rearm: rule.rearm === undefined ? null : compileCondition(rule.rearm, `${path}.rearm`, types),
+    confidence: rule.confidence === undefined
+      ? () => 1
+      : compileOperand(rule.confidence, `${path}.confidence`, types)
+  };
+};
+
+// Validates the rules and returns { indicators: [{ key, type, timeframe, params }],
+// match(values, previous) -> { side, confidence, rule } | null,
+// rearmed(side, values, previous) -> boolean }. Throws with the path of the
+// first problem found.
+export const compileRules = (rules) => {
+  if (!isPlainObject(rules)) fail('rules', 'expected an object');
+
+  const indicators = compileIndicators(rules.indicators || {});
+  const types = new Map(indicators.map(({ key, type }) => [key, type]));
+
+  if (!Array.isArray(rules.signals) || rules.signals.length === 0) {
+    fail('signals', 'expected a non-empty list of signals');
+  }
+  const signals = rules.signals.map((rule, index) => compileSignal(rule, index, types));
+
+  const match = (values, previous) => {
+    for (let rule = 0; rule < signals.length; rule++) {
+      const { side, when, confidence } = signals[rule];
+      if (!when(values, previous)) continue;
+
+      const value = confidence(values);
+      if (value === null) continue;
+      return { side, confidence: Math.min(1, Math.max(0, value)), rule };
+    }
+    return null;
+  };
+
+  // A side with `rearm` conditions stays quiet after signalling until they hold
+  const rearmed = (side, values, previous) => {
+    if (!values) return true;
+    return signals
+      .filter(signal => signal.side === side && signal.rearm)
+      .every(signal => signal.rearm(values, previous));
+  };
+
+  return { indicators, match, rearmed };
+};
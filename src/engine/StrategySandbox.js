@@ -0,0 +1,410 @@
+import { createIndicator, INDICATOR_TYPES } from './indicators/index.js';
+
+// Host references, captured when the module loads: before sandbox.worker.js
+// removes Function and eval, and before any strategy code could replace them
+const FunctionConstructor = Function;
+const { stringify, parse } = JSON;
+const now = performance.now.bind(performance);
+
+// These bound what the host keeps for a strategy: its state, its history and
+// its named indicators. Nothing bounds the heap; a worker cannot cap its own
+// memory, and variables at the top level of strategy code live as long as the
+// strategy. Code that allocates without bound crashes the worker, which
+// SandboxClient then replaces.
+export const DEFAULT_SANDBOX_LIMITS = {
+  maxStateBytes: 64 * 1024,          // ctx.state as JSON
+  maxDetailsBytes: 16 * 1024,        // signal.details as JSON
+  maxIndicators: 32,                 // ctx.indicator() instances per strategy
+  maxIndicatorPeriod: 5000,          // largest numeric param of a named indicator
+  candleHistory: 200,
+  tickHistory: 100
+};
+
+const toMs = value => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+};
+
+// Strategy code sees plain frozen copies with epoch-millisecond timestamps
+const toTick = tick => Object.freeze({
+  symbol: tick.symbol,
+  ts: toMs(tick.ts),
+  price: tick.price,
+  volume: tick.volume ?? null
+});
+
+const toBar = candle => Object.freeze({
+  symbol: candle.symbol,
+  frame: candle.frame,
+  open: candle.open,
+  high: candle.high,
+  low: candle.low,
+  close: candle.close,
+  volume: candle.volume ?? null,
+  ts_open: toMs(candle.ts_open),
+  ts_close: toMs(candle.ts_close)
+});
+
+// What strategy code gets for a named indicator. The instance itself would
+// hand out its class and buffers (e.g. rsi.constructor), and with them
+// indicators that skip the period limit.
+const indicatorView = indicator => Object.freeze({
+  update: (...inputs) => indicator.update(...inputs),
+  getValue: () => indicator.getValue(),
+  isReady: () => indicator.isReady(),
+  getReadiness: () => indicator.getReadiness(),
+  reset: () => indicator.reset(),
+  get warmupPeriod() { return indicator.warmupPeriod; },
+  get samples() { return indicator.samples; }
+});
+
+const jsonSize = (value, label, limit) => {
+  let json;
+  try {
+    json = stringify(value ?? null);
+  } catch (error) {
+    throw new Error(`${label} must be JSON-serializable: ${error.message}`);
+  }
+  if (json.length > limit) {
+    throw new Error(`${label} is ${json.length} bytes, over the ${limit} byte limit`);
+  }
+  return json;
+};
+
+// Keywords after which `/` starts a regular expression. Words that can also
+// be identifiers (of, await, ...) are left out, so `/` after them is read as
+// a division and what follows is checked as code.
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else'
+]);
+
+const isWordChar = ch => /[\w$\\]/.test(ch) || (ch >= '\u0080' && !/\s/.test(ch));
+
+// True when `import` occurs as a keyword, i.e. outside comments, strings,
+// template text and regular expressions and not as a property name. With eval
+// and Function gone, an import() can only come from the source itself.
+// Wherever the lexing is ambiguous the text is treated as code, so mistakes
+// refuse code rather than let import through.
+export const usesImport = (code) => {
+  const templateDepths = []; // brace depth at each open `${`
+  let depth = 0;
+  let regexAllowed = true;
+  let afterDot = false;
+  let i = 0;
+
+  const skipQuoted = (quote) => {
+    for (i++; i < code.length && code[i] !== quote && code[i] !== '\n'; i++) {
+      if (code[i] === '\\') i++;
+    }
+    i++;
+  };
+
+  // From inside template text to its closing backtick or next `${`
+  const skipTemplate = () => {
+    for (; i < code.length; i++) {
+      if (code[i] === '\\') {
+        i++;
+      } else if (code[i] === '`') {
+        i++;
+        regexAllowed = false;
+        return;
+      } else if (code[i] === '$' && code[i + 1] === '{') {
+        i += 2;
+        templateDepths.push(depth);
+        depth++;
+        regexAllowed = true;
+        return;
+      }
+    }
+  };
+
+  const skipRegex = () => {
+    let inClass = false;
+    for (i++; i < code.length && code[i] !== '\n'; i++) {
+      if (code[i] === '\\') i++;
+      else if (code[i] === '[') inClass = true;
+      else if (code[i] === ']') inClass = false;
+      else if (code[i] === '/' && !inClass) break;
+    }
+    for (i++; i < code.length && isWordChar(code[i]); i++);
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (code.startsWith('//', i)) {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+    } else if (code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      i = end === -1 ? code.length : end + 2;
+    } else if (ch === '"' || ch === "'") {
+      skipQuoted(ch);
+      regexAllowed = false;
+      afterDot = false;
+    } else if (ch === '`') {
+      i++;
+      skipTemplate();
+      afterDot = false;
+    } else if (ch === '/' && regexAllowed) {
+      skipRegex();
+      regexAllowed = false;
+      afterDot = false;
+    } else if (isWordChar(ch)) {
+      const start = i;
+      for (i++; i < code.length && isWordChar(code[i]); i++);
+      const word = code.slice(start, i);
+      if (word === 'import' && !afterDot) return true;
+      // A property name (o.return) is never a keyword
+      regexAllowed = !afterDot && REGEX_AFTER_KEYWORDS.has(word);
+      afterDot = false;
+    } else if (code.startsWith('...', i)) {
+      i += 3;
+      regexAllowed = true;
+      afterDot = false;
+    } else if (ch === '.' || (code.startsWith('?.', i) && !/[0-9]/.test(code[i + 2]))) {
+      i += ch === '.' ? 1 : 2;
+      regexAllowed = false;
+      afterDot = true;
+    } else if (ch === '}' && templateDepths[templateDepths.length - 1] === depth - 1) {
+      depth--;
+      templateDepths.pop();
+      i++;
+      skipTemplate();
+      afterDot = false;
+    } else {
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+      // After a postfix ++/-- or a closing bracket `/` divides
+      const postfix = (ch === '+' || ch === '-') && code[i + 1] === ch;
+      regexAllowed = !postfix && ch !== ')' && ch !== ']' && ch !== '}';
+      i += postfix ? 2 : 1;
+      afterDot = false;
+    }
+  }
+
+  return false;
+};
+
+// Strategy code is the body of a strict-mode function: top-level statements
+// run once on load, and it must declare evaluate(ctx) and may declare
+// init(ctx). import is refused because a module worker could otherwise load
+// code from anywhere with import().
+export const compileStrategyCode = (code) => {
+  if (typeof code !== 'string' || code.trim() === '') {
+    throw new Error('Strategy code is empty');
+  }
+  if (usesImport(code)) {
+    throw new Error('Strategy code cannot use import');
+  }
+
+  let factory;
+  try {
+    factory = new FunctionConstructor(`'use strict';\n${code}\n;return {
+      init: typeof init === 'function' ? init : null,
+      evaluate: typeof evaluate === 'function' ? evaluate : null
+    };`);
+  } catch (error) {
+    throw new Error(`Strategy code does not compile: ${error.message}`);
+  }
+
+  const program = factory();
+  if (!program.evaluate) {
+    throw new Error('Strategy code must declare function evaluate(ctx)');
+  }
+  return program;
+};
+
+// Loaded user strategies for one worker. Runs only inside sandbox.worker.js;
+// there is deliberately no main-thread fallback.
+export class SandboxHost {
+  constructor() {
+    this.strategies = new Map();
+    this.limits = { ...DEFAULT_SANDBOX_LIMITS };
+  }
+
+  configure(limits = {}) {
+    this.limits = { ...this.limits, ...limits };
+    return { success: true, limits: this.limits };
+  }
+
+  // snapshot: { state, indicators, candles, ticks } from an earlier run; init()
+  // only runs for a fresh strategy
+  load(key, code, params = {}, snapshot = null) {
+    const entry = {
+      program: compileStrategyCode(code),
+      params: deepFreeze(parse(stringify(params ?? {}))),
+      state: {},
+      stateJson: '{}',
+      indicators: new Map(),
+      candles: [],
+      ticks: []
+    };
+
+    if (snapshot) {
+      entry.state = snapshot.state || {};
+      Object.entries(snapshot.indicators || {}).forEach(([name, { type, params: indicatorParams, data }]) => {
+        this.createIndicator(entry, name, type, indicatorParams);
+        if (data) entry.indicators.get(name).indicator.restore(data);
+      });
+      entry.candles = (snapshot.candles || []).slice(-this.limits.candleHistory).map(toBar);
+      entry.ticks = (snapshot.ticks || []).slice(-this.limits.tickHistory).map(toTick);
+    } else if (entry.program.init) {
+      entry.program.init(this.context(entry, null, null));
+    }
+
+    entry.stateJson = this.checkState(entry);
+    this.strategies.set(key, entry);
+    return { success: true, key, snapshot: this.snapshot(entry) };
+  }
+
+  evaluate(key, tick, candle) {
+    const entry = this.strategies.get(key);
+    if (!entry) {
+      throw new Error(`Sandboxed strategy ${key} is not loaded`);
+    }
+
+    const input = toTick(tick);
+    const bar = candle ? toBar(candle) : null;
+    this.remember(entry.ticks, input, this.limits.tickHistory);
+    if (bar) this.remember(entry.candles, bar, this.limits.candleHistory);
+
+    const started = now();
+    let signal;
+    try {
+      signal = this.checkSignal(entry.program.evaluate(this.context(entry, input, bar)));
+      entry.stateJson = this.checkState(entry);
+    } catch (error) {
+      // State changes made before the error are undone; indicator updates are not
+      entry.state = parse(entry.stateJson);
+      throw error;
+    }
+
+    return {
+      success: true,
+      signal,
+      snapshot: this.snapshot(entry),
+      durationMs: now() - started
+    };
+  }
+
+  unload(key) {
+    this.strategies.delete(key);
+    return { success: true, key };
+  }
+
+  cleanup() {
+    this.strategies.clear();
+    return { success: true };
+  }
+
+  // The read-only market API plus the strategy's own params and state
+  context(entry, tick, candle) {
+    return {
+      tick,
+      candle,
+      candles: Object.freeze(entry.candles.slice()),
+      ticks: Object.freeze(entry.ticks.slice()),
+      params: entry.params,
+      state: entry.state,
+      indicator: (name, type, params = {}) => (
+        entry.indicators.has(name)
+          ? entry.indicators.get(name).view
+          : this.createIndicator(entry, name, type, params)
+      )
+    };
+  }
+
+  // Named indicators are part of the snapshot, so they survive restarts
+  createIndicator(entry, name, type, params = {}) {
+    if (!INDICATOR_TYPES.includes(type)) {
+      throw new Error(`Unknown indicator type ${type}`);
+    }
+    if (entry.indicators.size >= this.limits.maxIndicators) {
+      throw new Error(`A strategy can create at most ${this.limits.maxIndicators} indicators`);
+    }
+    // Periods size the indicators' buffers
+    Object.entries(params || {}).forEach(([name, value]) => {
+      if (typeof value === 'number' && value > this.limits.maxIndicatorPeriod) {
+        throw new Error(`Indicator ${name} ${value} is over the limit of ${this.limits.maxIndicatorPeriod}`);
+      }
+    });
+
+    const indicator = createIndicator(type, params);
+    const view = indicatorView(indicator);
+    entry.indicators.set(name, { type, params: { ...params }, indicator, view });
+    return view;
+  }
+
+  remember(history, item, limit) {
+    history.push(item);
+    if (history.length > limit) history.splice(0, history.length - limit);
+  }
+
+  checkSignal(signal) {
+    if (signal === null || signal === undefined) return null;
+    if (typeof signal !== 'object') {
+      throw new Error('evaluate must return a signal object or null');
+    }
+    if (typeof signal.then === 'function') {
+      throw new Error('evaluate must return synchronously');
+    }
+    if (signal.side !== 'long' && signal.side !== 'short') {
+      throw new Error(`Signal side must be long or short, got ${signal.side}`);
+    }
+
+    const confidence = signal.confidence ?? 1;
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence)) {
+      throw new Error('Signal confidence must be a finite number');
+    }
+    const details = parse(jsonSize(signal.details ?? {}, 'Signal details', this.limits.maxDetailsBytes));
+
+    return { side: signal.side, confidence, details };
+  }
+
+  // Returns the state as JSON, or throws when it is over the size limit
+  checkState(entry) {
+    return jsonSize(entry.state, 'Strategy state', this.limits.maxStateBytes);
+  }
+
+  snapshot(entry) {
+    const indicators = {};
+    entry.indicators.forEach(({ type, params, indicator }, name) => {
+      indicators[name] = { type, params, data: indicator.serialize ? indicator.serialize() : null };
+    });
+    return { state: parse(entry.stateJson), indicators };
+  }
+}
+
+export const dispatchSandboxMessage = (host, type, data) => {
+  let result;
+
+  switch (type) {
+    case 'configure':
+      result = host.configure(data.limits);
+      break;
+    case 'load':
+      result = host.load(data.key, data.code, data.params, data.snapshot);
+      break;
+    case 'evaluate':
+      result = host.evaluate(data.key, data.tick, data.candle);
+      break;
+    case 'unload':
+      result = host.unload(data.key);
+      break;
+    case 'cleanup':
+      result = host.cleanup();
+      break;
+    default:
+      result = { success: false, error: `Unknown message type: ${type}` };
+  }
+
+  return result;
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { usesImport, compileStrategyCode, SandboxHost } from './StrategySandbox.js';
+
+describe('usesImport', () => {
+  it.each([
+    'import("https://example.com/x.js")',
+    'const load = () => import ("x");',
+    'const a = 1; a++ / import("x") / 2;',
+    'const o = {} / import("x");',
+    'const t = `${import("x")}`;',
+    'const t = `${`${import("x")}`}`;',
+    'const await = 1; await / import("x") / 1;',
+    'if (true) /x/.test(import("x"));',
+    'return import("x");'
+  ])('finds the keyword in %s', code => {
+    expect(usesImport(code)).toBe(true);
+  });
+
+  it.each([
+    '// import("x") in a comment',
+    '/* import("x") */',
+    'const s = "import(\'x\')";',
+    "const s = 'import';",
+    'const t = `import ${1 + 1}`;',
+    'const r = /import\\(/;',
+    'const r = [/import/];',
+    'const important = 1;',
+    'ctx.import; ctx?.import; ctx . import;'
+  ])('ignores %s', code => {
+    expect(usesImport(code)).toBe(false);
+  });
+});
+
+describe('compileStrategyCode', () => {
+  it('accepts code that only mentions import in comments and strings', () => {
+    const program = compileStrategyCode(`
+      // no import here
+      const label = 'import';
+      function evaluate() { return null; }
+    `);
+    expect(program.evaluate()).toBeNull();
+  });
+
+  it('refuses dynamic import', () => {
+    expect(() => compileStrategyCode('function evaluate() { return import("x"); }'))
+      .toThrow('Strategy code cannot use import');
+  });
+
+  it('refuses import divided by a keyword-named property', () => {
+    expect(() => compileStrategyCode(`
+      const o = { else: 1 };
+      function evaluate() { return o.else / import("data:text/javascript,export default 1") / 1; }
+    `)).toThrow('Strategy code cannot use import');
+  });
+});
+
+describe('SandboxHost limits', () => {
+  it('refuses indicators sized over maxIndicatorPeriod', () => {
+    const host = new SandboxHost();
+    host.load('big', "function evaluate(ctx) { ctx.indicator('ema', 'EMA', { period: 1e9 }); return null; }");
+    expect(() => host.evaluate('big', { symbol: 'X', ts: 0, price: 1 }, null)).toThrow(/over the limit of 5000/);
+  });
+
+  it('hands out named indicators without their classes', () => {
+    const host = new SandboxHost();
+    host.load('peek', `function evaluate(ctx) {
+      const ema = ctx.indicator('ema', 'EMA', { period: 3 });
+      ctx.state.seen = [typeof ctx.indicators, ema.constructor === Object, typeof ema.window];
+      return null;
+    }`);
+    host.evaluate('peek', { symbol: 'X', ts: 0, price: 1 }, null);
+    expect(host.strategies.get('peek').state.seen).toEqual(['undefined', true, 'undefined']);
+  });
+
+  it('restores named indicators from a snapshot', () => {
+    const code = "function evaluate(ctx) { return { side: 'long', details: { ema: ctx.indicator('ema', 'EMA', { period: 2 }).update(ctx.tick.price) } }; }";
+    const host = new SandboxHost();
+    host.load('a', code);
+    host.evaluate('a', { symbol: 'X', ts: 0, price: 1 }, null);
+    const { snapshot } = host.evaluate('a', { symbol: 'X', ts: 1, price: 3 }, null);
+
+    const restored = new SandboxHost();
+    restored.load('a', code, {}, snapshot);
+    expect(restored.evaluate('a', { symbol: 'X', ts: 2, price: 5 }, null).signal.details)
+      .toEqual(host.evaluate('a', { symbol: 'X', ts: 2, price: 5 }, null).signal.details);
+  });
+
+  it('refuses state over maxStateBytes and rolls it back', () => {
+    const host = new SandboxHost();
+    host.configure({ maxStateBytes: 32 });
+    host.load('fat', "function evaluate(ctx) { ctx.state.blob = 'x'.repeat(64); return null; }");
+    expect(() => host.evaluate('fat', { symbol: 'X', ts: 0, price: 1 }, null)).toThrow(/over the 32 byte limit/);
+    expect(host.strategies.get('fat').state).toEqual({});
+  });
+});
@@ -0,0 +1,153 @@
+// Columnar per-symbol tick ring: timestamps and prices live in typed arrays,
+// so writing a tick allocates nothing. With SharedArrayBuffer (cross-origin
+// isolated pages, Node) a worker can attach to the same memory and read ticks
+// directly; otherwise copySince() produces transferable column slices.
+//
+// header[0] is the number of ticks ever written (the write sequence). A slot
+// is written before the sequence is published, and readers re-check the
+// sequence afterwards to discard slots the writer lapped while they read.
+
+// Browsers only allow posting SharedArrayBuffers from cross-origin isolated pages
+export const supportsSharedTicks = () => (
+  typeof SharedArrayBuffer !== 'undefined' &&
+  (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated)
+);
+
+export class TickRingBuffer {
+  constructor(options = {}) {
+    const {
+      symbol = null,
+      capacity = 2048,
+      shared = supportsSharedTicks(),
+      buffers = null // attach to existing memory, see describe()
+    } = options;
+
+    this.symbol = symbol;
+    this.capacity = capacity;
+
+    if (buffers) {
+      this.shared = supportsSharedTicks() && buffers.header instanceof SharedArrayBuffer;
+      this.header = new Int32Array(buffers.header);
+      this.ts = new Float64Array(buffers.ts);
+      this.price = new Float64Array(buffers.price);
+      return;
+    }
+
+    const Buffer = shared ? SharedArrayBuffer : ArrayBuffer;
+    this.shared = shared;
+    this.header = new Int32Array(new Buffer(Int32Array.BYTES_PER_ELEMENT * 2));
+    this.ts = new Float64Array(new Buffer(Float64Array.BYTES_PER_ELEMENT * capacity));
+    this.price = new Float64Array(new Buffer(Float64Array.BYTES_PER_ELEMENT * capacity));
+  }
+
+  static attach(descriptor) {
+    return new TickRingBuffer({
+      symbol: descriptor.symbol,
+      capacity: descriptor.capacity,
+      buffers: descriptor
+    });
+  }
+
+  // Structured-clonable handle; shared buffers are not copied by postMessage
+  describe() {
+    return {
+      symbol: this.symbol,
+      capacity: this.capacity,
+      header: this.header.buffer,
+      ts: this.ts.buffer,
+      price: this.price.buffer
+    };
+  }
+
+  push(ts, price) {
+    const sequence = Atomics.load(this.header, 0);
+    const slot = sequence % this.capacity;
+    this.ts[slot] = ts;
+    this.price[slot] = price;
+    Atomics.store(this.header, 0, sequence + 1);
+  }
+
+  getSequence() {
+    return Atomics.load(this.header, 0);
+  }
+
+  get length() {
+    return Math.min(this.getSequence(), this.capacity);
+  }
+
+  latest() {
+    const sequence = this.getSequence();
+    if (sequence === 0) return null;
+    const slot = (sequence - 1) % this.capacity;
+    return { symbol: this.symbol, ts: new Date(this.ts[slot]), price: this.price[slot] };
+  }
+
+  // Calls visit(ts, price, sequence) for every tick after `cursor` (a
+  // sequence number) up to `until`, without allocating; `sequence` is the
+  // cursor just past that tick. Returns the new cursor and how many ticks were
+  // lost because the reader fell more than `capacity` behind.
+  readSince(cursor, visit, until = this.getSequence()) {
+    const sequence = Math.min(until, this.getSequence());
+    const start = Math.max(cursor, sequence - this.capacity);
+    let count = 0;
+    let skipped = Math.max(0, start - cursor);
+
+    for (let i = start; i < sequence; i++) {
+      const slot = i % this.capacity;
+      const ts = this.ts[slot];
+      const price = this.price[slot];
+
+      // The writer lapped this slot while we were reading it
+      if (this.getSequence() - this.capacity > i) {
+        skipped++;
+        continue;
+      }
+
+      visit(ts, price, i + 1);
+      count++;
+    }
+
+    return { cursor: Math.max(cursor, sequence), count, skipped };
+  }
+
+  // Column copies of the ticks after `cursor` up to `until`, for postMessage
+  // transfer when memory cannot be shared; `from` is the sequence before the
+  // first copied tick
+  copySince(cursor, until = this.getSequence()) {
+    const sequence = Math.min(until, this.getSequence());
+    const start = Math.max(cursor, sequence - this.capacity);
+    const count = Math.max(0, sequence - start);
+    const ts = new Float64Array(count);
+    const price = new Float64Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const slot = (start + i) % this.capacity;
+      ts[i] = this.ts[slot];
+      price[i] = this.price[slot];
+    }
+
+    return { ts, price, from: start, cursor: Math.max(cursor, sequence), skipped: Math.max(0, start - cursor) };
+  }
+
+  // Newest tick stamped at or before `time` (ms), or null; scans back from
+  // the latest tick and only allocates the result
+  latestAt(time) {
+    const sequence = this.getSequence();
+    for (let i = sequence - 1; i >= Math.max(0, sequence - this.capacity); i--) {
+      const slot = i % this.capacity;
+      if (this.ts[slot] <= time) {
+        return { symbol: this.symbol, ts: new Date(this.ts[slot]), price: this.price[slot] };
+      }
+    }
+    return null;
+  }
+
+  // Tick objects, oldest first (compatibility with array-based consumers)
+  toArray() {
+    const ticks = [];
+    this.readSince(0, (ts, price) => {
+      ticks.push({ symbol: this.symbol, ts: new Date(ts), price });
+    });
+    return ticks;
+  }
+}
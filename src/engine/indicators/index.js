@@ -1,15 +1,311 @@
 // Technical Indicators for Strategy Engine
+//
+// Every indicator is incremental: update() costs O(1) (amortized) regardless of
+// period, using the rolling buffers below instead of re-summing arrays.
 
-export class EMA {
+export const SMOOTHING_MODES = ['sma', 'wilder', 'ema'];
+
+// Snapshots are plain JSON so they survive localStorage / postMessage. Restoring
+// into an indicator built with different parameters is refused rather than
+// silently producing wrong values.
+const checkSnapshot = (snapshot, type, expected) => {
+  if (!snapshot || snapshot.type !== type) {
+    throw new Error(`Cannot restore ${type} from ${snapshot ? snapshot.type : 'empty'} snapshot`);
+  }
+  Object.entries(expected).forEach(([key, value]) => {
+    if (snapshot[key] !== value) {
+      throw new Error(`${type} snapshot ${key} mismatch: ${snapshot[key]} !== ${value}`);
+    }
+  });
+};
+
+const serializeCandle = (candle) => (
+  candle ? { high: candle.high, low: candle.low, close: candle.close } : null
+);
+
+// Fixed-size ring buffer with a running sum
+export class RollingWindow {
+  constructor(size) {
+    this.size = size;
+    this.values = new Float64Array(size);
+    this.start = 0;
+    this.length = 0;
+    this.sum = 0;
+    this.evictions = 0;
+  }
+
+  // Returns the evicted value once the window is full, otherwise undefined
+  push(value) {
+    let evicted;
+
+    if (this.length < this.size) {
+      this.values[(this.start + this.length) % this.size] = value;
+      this.length++;
+      this.sum += value;
+    } else {
+      evicted = this.values[this.start];
+      this.values[this.start] = value;
+      this.start = (this.start + 1) % this.size;
+      this.sum += value - evicted;
+
+      // Re-sum once per full rotation so floating-point drift cannot accumulate
+      if (++this.evictions >= this.size) {
+        this.evictions = 0;
+        this.sum = this.values.reduce((sum, v) => sum + v, 0);
+      }
+    }
+
+    return evicted;
+  }
+
+  isFull() {
+    return this.length === this.size;
+  }
+
+  mean() {
+    return this.length > 0 ? this.sum / this.length : null;
+  }
+
+  // Oldest to newest
+  forEach(callback) {
+    for (let i = 0; i < this.length; i++) {
+      callback(this.values[(this.start + i) % this.size], i);
+    }
+  }
+
+  toArray() {
+    const result = [];
+    this.forEach(value => result.push(value));
+    return result;
+  }
+
+  serialize() {
+    return { size: this.size, values: this.toArray(), sum: this.sum, evictions: this.evictions };
+  }
+
+  restore(snapshot) {
+    if (snapshot.size !== this.size) {
+      throw new Error(`RollingWindow size mismatch: ${snapshot.size} !== ${this.size}`);
+    }
+    this.clear();
+    snapshot.values.forEach((value, i) => {
+      this.values[i] = value;
+    });
+    this.length = snapshot.values.length;
+    this.sum = snapshot.sum;
+    this.evictions = snapshot.evictions;
+    return this;
+  }
+
+  clear() {
+    this.start = 0;
+    this.length = 0;
+    this.sum = 0;
+    this.evictions = 0;
+  }
+}
+
+// Sliding-window max/min via monotonic deques (amortized O(1) per push)
+export class RollingExtremes {
+  constructor(size) {
+    this.size = size;
+    this.clear();
+  }
+
+  push(high, low = high) {
+    const index = this.count++;
+
+    while (this.maxIndices.length > this.maxHead && this.maxValues[this.maxValues.length - 1] <= high) {
+      this.maxIndices.pop();
+      this.maxValues.pop();
+    }
+    this.maxIndices.push(index);
+    this.maxValues.push(high);
+    while (this.maxIndices[this.maxHead] <= index - this.size) this.maxHead++;
+
+    while (this.minIndices.length > this.minHead && this.minValues[this.minValues.length - 1] >= low) {
+      this.minIndices.pop();
+      this.minValues.pop();
+    }
+    this.minIndices.push(index);
+    this.minValues.push(low);
+    while (this.minIndices[this.minHead] <= index - this.size) this.minHead++;
+
+    // Drop consumed heads occasionally instead of shifting on every push
+    if (this.maxHead > this.size) {
+      this.maxIndices = this.maxIndices.slice(this.maxHead);
+      this.maxValues = this.maxValues.slice(this.maxHead);
+      this.maxHead = 0;
+    }
+    if (this.minHead > this.size) {
+      this.minIndices = this.minIndices.slice(this.minHead);
+      this.minValues = this.minValues.slice(this.minHead);
+      this.minHead = 0;
+    }
+  }
+
+  isFull() {
+    return this.count >= this.size;
+  }
+
+  getMax() {
+    return this.maxValues.length > this.maxHead ? this.maxValues[this.maxHead] : null;
+  }
+
+  getMin() {
+    return this.minValues.length > this.minHead ? this.minValues[this.minHead] : null;
+  }
+
+  serialize() {
+    return {
+      size: this.size,
+      count: this.count,
+      maxIndices: this.maxIndices.slice(this.maxHead),
+      maxValues: this.maxValues.slice(this.maxHead),
+      minIndices: this.minIndices.slice(this.minHead),
+      minValues: this.minValues.slice(this.minHead)
+    };
+  }
+
+  restore(snapshot) {
+    if (snapshot.size !== this.size) {
+      throw new Error(`RollingExtremes size mismatch: ${snapshot.size} !== ${this.size}`);
+    }
+    this.count = snapshot.count;
+    this.maxIndices = [...snapshot.maxIndices];
+    this.maxValues = [...snapshot.maxValues];
+    this.maxHead = 0;
+    this.minIndices = [...snapshot.minIndices];
+    this.minValues = [...snapshot.minValues];
+    this.minHead = 0;
+    return this;
+  }
+
+  clear() {
+    this.count = 0;
+    this.maxIndices = [];
+    this.maxValues = [];
+    this.maxHead = 0;
+    this.minIndices = [];
+    this.minValues = [];
+    this.minHead = 0;
+  }
+}
+
+// Running average of a series. 'sma' is a plain rolling mean; 'wilder' (RMA,
+// alpha = 1/period) and 'ema' (alpha = 2/(period+1)) are seeded with the SMA
+// of the first `period` values, as charting packages do.
+export class Smoother {
+  constructor(period, mode = 'sma') {
+    if (!SMOOTHING_MODES.includes(mode)) {
+      throw new Error(`Unknown smoothing mode: ${mode}`);
+    }
+
+    this.period = period;
+    this.mode = mode;
+    this.alpha = mode === 'wilder' ? 1 / period : 2 / (period + 1);
+    this.window = mode === 'sma' ? new RollingWindow(period) : null;
+    this.count = 0;
+    this.seedSum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    this.count++;
+
+    if (this.window) {
+      this.window.push(x);
+      this.value = this.window.isFull() ? this.window.mean() : null;
+      return this.value;
+    }
+
+    if (this.count <= this.period) {
+      this.seedSum += x;
+      if (this.count === this.period) {
+        this.value = this.seedSum / this.period;
+      }
+      return this.value;
+    }
+
+    this.value += this.alpha * (x - this.value);
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      period: this.period,
+      mode: this.mode,
+      count: this.count,
+      seedSum: this.seedSum,
+      value: this.value,
+      window: this.window ? this.window.serialize() : null
+    };
+  }
+
+  restore(snapshot) {
+    if (snapshot.period !== this.period || snapshot.mode !== this.mode) {
+      throw new Error(`Smoother mismatch: ${snapshot.mode}/${snapshot.period} !== ${this.mode}/${this.period}`);
+    }
+    this.count = snapshot.count;
+    this.seedSum = snapshot.seedSum;
+    this.value = snapshot.value;
+    if (this.window) this.window.restore(snapshot.window);
+    return this;
+  }
+
+  reset() {
+    if (this.window) this.window.clear();
+    this.count = 0;
+    this.seedSum = 0;
+    this.value = null;
+  }
+}
+
+// Common readiness contract: update() returns null until isReady(), which
+// takes exactly warmupPeriod calls from a fresh or reset indicator.
+export class Indicator {
+  constructor(warmupPeriod) {
+    this.warmupPeriod = warmupPeriod;
+    this.samples = 0;
+  }
+
+  isReady() {
+    return this.samples >= this.warmupPeriod;
+  }
+
+  getReadiness() {
+    return {
+      ready: this.isReady(),
+      samples: this.samples,
+      warmupPeriod: this.warmupPeriod
+    };
+  }
+}
+
+export class EMA extends Indicator {
   constructor(period) {
+    super(period);
     this.period = period;
     this.multiplier = 2 / (period + 1);
+    this.seedSum = 0;
     this.ema = null;
   }
 
   update(price) {
-    if (this.ema === null) {
-      this.ema = price;
+    this.samples++;
+
+    // Seed with the SMA of the first period, as charting packages do
+    if (this.samples < this.period) {
+      this.seedSum += price;
+      return null;
+    }
+
+    if (this.samples === this.period) {
+      this.ema = (this.seedSum + price) / this.period;
     } else {
       this.ema = (price * this.multiplier) + (this.ema * (1 - this.multiplier));
     }
@@ -20,75 +316,105 @@ export class EMA {
     return this.ema;
   }
 
+  serialize() {
+    return {
+      type: 'EMA',
+      period: this.period,
+      samples: this.samples,
+      seedSum: this.seedSum,
+      ema: this.ema
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'EMA', { period: this.period });
+    this.samples = snapshot.samples;
+    this.seedSum = snapshot.seedSum;
+    this.ema = snapshot.ema;
+    return this;
+  }
+
   reset() {
+    this.samples = 0;
+    this.seedSum = 0;
     this.ema = null;
   }
 }
 
-export class RSI {
-  constructor(period = 14) {
+export class RSI extends Indicator {
+  constructor(period = 14, smoothing = 'wilder') {
+    super(period + 1);
     this.period = period;
-    this.gains = [];
-    this.losses = [];
+    this.smoothing = smoothing;
+    this.avgGain = new Smoother(period, smoothing);
+    this.avgLoss = new Smoother(period, smoothing);
     this.lastPrice = null;
+    this.value = null;
   }
 
   update(price) {
+    this.samples++;
     if (this.lastPrice !== null) {
       const change = price - this.lastPrice;
-      const gain = change > 0 ? change : 0;
-      const loss = change < 0 ? -change : 0;
-
-      this.gains.push(gain);
-      this.losses.push(loss);
-
-      if (this.gains.length > this.period) {
-        this.gains.shift();
-        this.losses.shift();
-      }
-
-      if (this.gains.length === this.period) {
-        const avgGain = this.gains.reduce((sum, g) => sum + g, 0) / this.period;
-        const avgLoss = this.losses.reduce((sum, l) => sum + l, 0) / this.period;
+      const avgGain = this.avgGain.update(change > 0 ? change : 0);
+      const avgLoss = this.avgLoss.update(change < 0 ? -change : 0);
 
-        if (avgLoss === 0) return 100;
-        
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
+      if (avgGain !== null) {
+        this.value = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
       }
     }
 
     this.lastPrice = price;
-    return null;
+    return this.value;
   }
 
   getValue() {
-    if (this.gains.length < this.period) return null;
-    
-    const avgGain = this.gains.reduce((sum, g) => sum + g, 0) / this.period;
-    const avgLoss = this.losses.reduce((sum, l) => sum + l, 0) / this.period;
-    
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      type: 'RSI',
+      samples: this.samples,
+      period: this.period,
+      smoothing: this.smoothing,
+      avgGain: this.avgGain.serialize(),
+      avgLoss: this.avgLoss.serialize(),
+      lastPrice: this.lastPrice,
+      value: this.value
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'RSI', { period: this.period, smoothing: this.smoothing });
+    this.samples = snapshot.samples;
+    this.avgGain.restore(snapshot.avgGain);
+    this.avgLoss.restore(snapshot.avgLoss);
+    this.lastPrice = snapshot.lastPrice;
+    this.value = snapshot.value;
+    return this;
   }
 
   reset() {
-    this.gains = [];
-    this.losses = [];
+    this.samples = 0;
+    this.avgGain.reset();
+    this.avgLoss.reset();
     this.lastPrice = null;
+    this.value = null;
   }
 }
 
-export class ATR {
-  constructor(period = 14) {
+export class ATR extends Indicator {
+  constructor(period = 14, smoothing = 'wilder') {
+    super(period + 1);
     this.period = period;
-    this.trueRanges = [];
+    this.smoothing = smoothing;
+    this.smoother = new Smoother(period, smoothing);
     this.lastCandle = null;
   }
 
   update(candle) {
+    this.samples++;
     if (this.lastCandle) {
       const high = candle.high;
       const low = candle.low;
@@ -99,11 +425,7 @@ export class ATR {
       const tr3 = Math.abs(low - prevClose);
       
       const trueRange = Math.max(tr1, tr2, tr3);
-      this.trueRanges.push(trueRange);
-
-      if (this.trueRanges.length > this.period) {
-        this.trueRanges.shift();
-      }
+      this.smoother.update(trueRange);
     }
 
     this.lastCandle = candle;
@@ -111,36 +433,80 @@ export class ATR {
   }
 
   getValue() {
-    if (this.trueRanges.length === 0) return null;
-    return this.trueRanges.reduce((sum, tr) => sum + tr, 0) / this.trueRanges.length;
+    return this.smoother.getValue();
+  }
+
+  serialize() {
+    return {
+      type: 'ATR',
+      samples: this.samples,
+      period: this.period,
+      smoothing: this.smoothing,
+      smoother: this.smoother.serialize(),
+      lastCandle: serializeCandle(this.lastCandle)
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'ATR', { period: this.period, smoothing: this.smoothing });
+    this.samples = snapshot.samples;
+    this.smoother.restore(snapshot.smoother);
+    this.lastCandle = snapshot.lastCandle;
+    return this;
   }
 
   reset() {
-    this.trueRanges = [];
+    this.samples = 0;
+    this.smoother.reset();
     this.lastCandle = null;
   }
 }
 
-export class BollingerBands {
+export class BollingerBands extends Indicator {
   constructor(period = 20, stdDev = 2) {
+    super(period);
     this.period = period;
     this.stdDev = stdDev;
-    this.prices = [];
+    this.window = new RollingWindow(period);
+    this.mean = 0;
+    this.m2 = 0; // sum of squared deviations from the mean
+    this.evictions = 0;
   }
 
   update(price) {
-    this.prices.push(price);
-    if (this.prices.length > this.period) {
-      this.prices.shift();
-    }
+    this.samples++;
+    const evicted = this.window.push(price);
 
-    if (this.prices.length < this.period) {
-      return null;
+    if (evicted === undefined) {
+      // Welford's online update while the window fills
+      const delta = price - this.mean;
+      this.mean += delta / this.window.length;
+      this.m2 += delta * (price - this.mean);
+    } else if (++this.evictions >= this.period) {
+      // Recompute exactly once per rotation to keep rounding error bounded
+      this.evictions = 0;
+      this.mean = this.window.sum / this.period;
+      let m2 = 0;
+      this.window.forEach(p => {
+        m2 += (p - this.mean) * (p - this.mean);
+      });
+      this.m2 = m2;
+    } else {
+      // Sliding replace of `evicted` by `price`
+      const oldMean = this.mean;
+      this.mean += (price - evicted) / this.period;
+      this.m2 += (price - evicted) * (price - this.mean + evicted - oldMean);
+      if (this.m2 < 0) this.m2 = 0;
     }
 
-    const sma = this.prices.reduce((sum, p) => sum + p, 0) / this.period;
-    const variance = this.prices.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / this.period;
-    const stdDeviation = Math.sqrt(variance);
+    return this.getValue();
+  }
+
+  getValue() {
+    if (!this.window.isFull()) return null;
+
+    const sma = this.mean;
+    const stdDeviation = Math.sqrt(this.m2 / this.period);
 
     return {
       middle: sma,
@@ -150,33 +516,46 @@ export class BollingerBands {
     };
   }
 
-  getValue() {
-    if (this.prices.length < this.period) return null;
-    
-    const sma = this.prices.reduce((sum, p) => sum + p, 0) / this.period;
-    const variance = this.prices.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / this.period;
-    const stdDeviation = Math.sqrt(variance);
-
+  serialize() {
     return {
-      middle: sma,
-      upper: sma + (stdDeviation * this.stdDev),
-      lower: sma - (stdDeviation * this.stdDev),
-      bandwidth: (stdDeviation * this.stdDev * 2) / sma
+      type: 'BollingerBands',
+      samples: this.samples,
+      period: this.period,
+      window: this.window.serialize(),
+      mean: this.mean,
+      m2: this.m2,
+      evictions: this.evictions
     };
   }
 
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'BollingerBands', { period: this.period });
+    this.samples = snapshot.samples;
+    this.window.restore(snapshot.window);
+    this.mean = snapshot.mean;
+    this.m2 = snapshot.m2;
+    this.evictions = snapshot.evictions;
+    return this;
+  }
+
   reset() {
-    this.prices = [];
+    this.samples = 0;
+    this.window.clear();
+    this.mean = 0;
+    this.m2 = 0;
+    this.evictions = 0;
   }
 }
 
-export class VWAP {
+export class VWAP extends Indicator {
   constructor() {
+    super(1);
     this.totalVolume = 0;
     this.totalVolumePrice = 0;
   }
 
   update(price, volume = 1) {
+    this.samples++;
     this.totalVolume += volume;
     this.totalVolumePrice += price * volume;
     return this.getValue();
@@ -187,8 +566,479 @@ export class VWAP {
     return this.totalVolumePrice / this.totalVolume;
   }
 
+  serialize() {
+    return {
+      type: 'VWAP',
+      samples: this.samples,
+      totalVolume: this.totalVolume,
+      totalVolumePrice: this.totalVolumePrice
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'VWAP', {});
+    this.samples = snapshot.samples;
+    this.totalVolume = snapshot.totalVolume;
+    this.totalVolumePrice = snapshot.totalVolumePrice;
+    return this;
+  }
+
   reset() {
+    this.samples = 0;
     this.totalVolume = 0;
     this.totalVolumePrice = 0;
   }
-}
\ No newline at end of file
+}
+
+export class MACD extends Indicator {
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    super(Math.max(fastPeriod, slowPeriod) + signalPeriod - 1);
+    this.fastPeriod = fastPeriod;
+    this.slowPeriod = slowPeriod;
+    this.signalPeriod = signalPeriod;
+    this.fastEMA = new EMA(fastPeriod);
+    this.slowEMA = new EMA(slowPeriod);
+    this.signalEMA = new EMA(signalPeriod);
+    this.value = null;
+  }
+
+  update(price) {
+    this.samples++;
+    const fast = this.fastEMA.update(price);
+    const slow = this.slowEMA.update(price);
+
+    // The MACD line starts once both EMAs are seeded; the signal line needs
+    // a further signalPeriod - 1 values on top of that
+    if (fast === null || slow === null) {
+      return null;
+    }
+
+    const macd = fast - slow;
+    const signal = this.signalEMA.update(macd);
+    if (signal === null) {
+      return null;
+    }
+
+    this.value = {
+      macd,
+      signal,
+      histogram: macd - signal
+    };
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      type: 'MACD',
+      samples: this.samples,
+      fastPeriod: this.fastPeriod,
+      slowPeriod: this.slowPeriod,
+      signalPeriod: this.signalPeriod,
+      fastEMA: this.fastEMA.serialize(),
+      slowEMA: this.slowEMA.serialize(),
+      signalEMA: this.signalEMA.serialize(),
+      value: this.value
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'MACD', {
+      fastPeriod: this.fastPeriod,
+      slowPeriod: this.slowPeriod,
+      signalPeriod: this.signalPeriod
+    });
+    this.samples = snapshot.samples;
+    this.fastEMA.restore(snapshot.fastEMA);
+    this.slowEMA.restore(snapshot.slowEMA);
+    this.signalEMA.restore(snapshot.signalEMA);
+    this.value = snapshot.value;
+    return this;
+  }
+
+  reset() {
+    this.samples = 0;
+    this.fastEMA.reset();
+    this.slowEMA.reset();
+    this.signalEMA.reset();
+    this.value = null;
+  }
+}
+
+// Candle-based indicators below also accept a bare price, treated as a flat candle
+const toCandle = (input) => (
+  typeof input === 'number'
+    ? { high: input, low: input, close: input }
+    : input
+);
+
+export class Stochastic extends Indicator {
+  constructor(kPeriod = 14, dPeriod = 3, smoothing = 1) {
+    super(kPeriod + smoothing + dPeriod - 2);
+    this.kPeriod = kPeriod;
+    this.dPeriod = dPeriod;
+    this.smoothing = smoothing;
+    this.extremes = new RollingExtremes(kPeriod);
+    this.rawK = new RollingWindow(smoothing);
+    this.kValues = new RollingWindow(dPeriod);
+    this.value = null;
+  }
+
+  update(input) {
+    this.samples++;
+    const candle = toCandle(input);
+
+    this.extremes.push(candle.high, candle.low);
+    if (!this.extremes.isFull()) {
+      return null;
+    }
+
+    const highest = this.extremes.getMax();
+    const lowest = this.extremes.getMin();
+    const range = highest - lowest;
+    this.rawK.push(range === 0 ? 50 : ((candle.close - lowest) / range) * 100);
+
+    // Slow stochastic: %K smoothed over `smoothing` periods (1 = fast stochastic)
+    if (!this.rawK.isFull()) {
+      return null;
+    }
+
+    const k = this.rawK.mean();
+    this.kValues.push(k);
+    if (!this.kValues.isFull()) {
+      return null;
+    }
+
+    this.value = { k, d: this.kValues.mean() };
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      type: 'Stochastic',
+      samples: this.samples,
+      kPeriod: this.kPeriod,
+      dPeriod: this.dPeriod,
+      smoothing: this.smoothing,
+      extremes: this.extremes.serialize(),
+      rawK: this.rawK.serialize(),
+      kValues: this.kValues.serialize(),
+      value: this.value
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'Stochastic', {
+      kPeriod: this.kPeriod,
+      dPeriod: this.dPeriod,
+      smoothing: this.smoothing
+    });
+    this.samples = snapshot.samples;
+    this.extremes.restore(snapshot.extremes);
+    this.rawK.restore(snapshot.rawK);
+    this.kValues.restore(snapshot.kValues);
+    this.value = snapshot.value;
+    return this;
+  }
+
+  reset() {
+    this.samples = 0;
+    this.extremes.clear();
+    this.rawK.clear();
+    this.kValues.clear();
+    this.value = null;
+  }
+}
+
+export class ADX extends Indicator {
+  constructor(period = 14) {
+    super(2 * period);
+    this.period = period;
+    this.lastCandle = null;
+    this.moves = 0;
+    this.smoothedTR = 0;
+    this.smoothedPlusDM = 0;
+    this.smoothedMinusDM = 0;
+    this.dxSum = 0;
+    this.dxCount = 0;
+    this.adx = null;
+    this.value = null;
+  }
+
+  update(input) {
+    this.samples++;
+    const candle = toCandle(input);
+
+    if (!this.lastCandle) {
+      this.lastCandle = candle;
+      return null;
+    }
+
+    const upMove = candle.high - this.lastCandle.high;
+    const downMove = this.lastCandle.low - candle.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const trueRange = Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - this.lastCandle.close),
+      Math.abs(candle.low - this.lastCandle.close)
+    );
+    this.lastCandle = candle;
+    this.moves++;
+
+    // Wilder smoothing: seed with the sum of the first period, then decay
+    if (this.moves <= this.period) {
+      this.smoothedTR += trueRange;
+      this.smoothedPlusDM += plusDM;
+      this.smoothedMinusDM += minusDM;
+      if (this.moves < this.period) {
+        return null;
+      }
+    } else {
+      this.smoothedTR = this.smoothedTR - (this.smoothedTR / this.period) + trueRange;
+      this.smoothedPlusDM = this.smoothedPlusDM - (this.smoothedPlusDM / this.period) + plusDM;
+      this.smoothedMinusDM = this.smoothedMinusDM - (this.smoothedMinusDM / this.period) + minusDM;
+    }
+
+    const plusDI = this.smoothedTR === 0 ? 0 : (this.smoothedPlusDM / this.smoothedTR) * 100;
+    const minusDI = this.smoothedTR === 0 ? 0 : (this.smoothedMinusDM / this.smoothedTR) * 100;
+    const diSum = plusDI + minusDI;
+    const dx = diSum === 0 ? 0 : (Math.abs(plusDI - minusDI) / diSum) * 100;
+
+    if (this.adx === null) {
+      this.dxSum += dx;
+      this.dxCount++;
+      if (this.dxCount < this.period) {
+        return null;
+      }
+      this.adx = this.dxSum / this.period;
+    } else {
+      this.adx = ((this.adx * (this.period - 1)) + dx) / this.period;
+    }
+
+    this.value = { adx: this.adx, plusDI, minusDI };
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      type: 'ADX',
+      samples: this.samples,
+      period: this.period,
+      lastCandle: serializeCandle(this.lastCandle),
+      moves: this.moves,
+      smoothedTR: this.smoothedTR,
+      smoothedPlusDM: this.smoothedPlusDM,
+      smoothedMinusDM: this.smoothedMinusDM,
+      dxSum: this.dxSum,
+      dxCount: this.dxCount,
+      adx: this.adx,
+      value: this.value
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'ADX', { period: this.period });
+    this.samples = snapshot.samples;
+    this.lastCandle = snapshot.lastCandle;
+    this.moves = snapshot.moves;
+    this.smoothedTR = snapshot.smoothedTR;
+    this.smoothedPlusDM = snapshot.smoothedPlusDM;
+    this.smoothedMinusDM = snapshot.smoothedMinusDM;
+    this.dxSum = snapshot.dxSum;
+    this.dxCount = snapshot.dxCount;
+    this.adx = snapshot.adx;
+    this.value = snapshot.value;
+    return this;
+  }
+
+  reset() {
+    this.samples = 0;
+    this.lastCandle = null;
+    this.moves = 0;
+    this.smoothedTR = 0;
+    this.smoothedPlusDM = 0;
+    this.smoothedMinusDM = 0;
+    this.dxSum = 0;
+    this.dxCount = 0;
+    this.adx = null;
+    this.value = null;
+  }
+}
+
+export class CCI extends Indicator {
+  constructor(period = 20, constant = 0.015) {
+    super(period);
+    this.period = period;
+    this.constant = constant;
+    this.typicalPrices = new RollingWindow(period);
+    this.value = null;
+  }
+
+  update(input) {
+    this.samples++;
+    const candle = toCandle(input);
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+
+    this.typicalPrices.push(typicalPrice);
+    if (!this.typicalPrices.isFull()) {
+      return null;
+    }
+
+    const sma = this.typicalPrices.mean();
+    // Mean absolute deviation is taken around the current SMA, so it cannot be
+    // maintained incrementally; this is the one O(period) step.
+    let deviation = 0;
+    this.typicalPrices.forEach(tp => {
+      deviation += Math.abs(tp - sma);
+    });
+    const meanDeviation = deviation / this.period;
+
+    this.value = meanDeviation === 0 ? 0 : (typicalPrice - sma) / (this.constant * meanDeviation);
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      type: 'CCI',
+      samples: this.samples,
+      period: this.period,
+      constant: this.constant,
+      typicalPrices: this.typicalPrices.serialize(),
+      value: this.value
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'CCI', { period: this.period, constant: this.constant });
+    this.samples = snapshot.samples;
+    this.typicalPrices.restore(snapshot.typicalPrices);
+    this.value = snapshot.value;
+    return this;
+  }
+
+  reset() {
+    this.samples = 0;
+    this.typicalPrices.clear();
+    this.value = null;
+  }
+}
+
+export class WilliamsR extends Indicator {
+  constructor(period = 14) {
+    super(period);
+    this.period = period;
+    this.extremes = new RollingExtremes(period);
+    this.value = null;
+  }
+
+  update(input) {
+    this.samples++;
+    const candle = toCandle(input);
+
+    this.extremes.push(candle.high, candle.low);
+    if (!this.extremes.isFull()) {
+      return null;
+    }
+
+    const highest = this.extremes.getMax();
+    const lowest = this.extremes.getMin();
+    const range = highest - lowest;
+
+    this.value = range === 0 ? -50 : ((highest - candle.close) / range) * -100;
+    return this.value;
+  }
+
+  getValue() {
+    return this.value;
+  }
+
+  serialize() {
+    return {
+      type: 'WilliamsR',
+      samples: this.samples,
+      period: this.period,
+      extremes: this.extremes.serialize(),
+      value: this.value
+    };
+  }
+
+  restore(snapshot) {
+    checkSnapshot(snapshot, 'WilliamsR', { period: this.period });
+    this.samples = snapshot.samples;
+    this.extremes.restore(snapshot.extremes);
+    this.value = snapshot.value;
+    return this;
+  }
+
+  reset() {
+    this.samples = 0;
+    this.extremes.clear();
+    this.value = null;
+  }
+}
+
+// Indicators that consume OHLC candles rather than a single price
+export const CANDLE_INDICATORS = new Set(['ATR', 'Stochastic', 'ADX', 'CCI', 'WilliamsR']);
+
+export const INDICATOR_TYPES = [
+  'EMA', 'RSI', 'ATR', 'BollingerBands', 'VWAP', 'MACD', 'Stochastic', 'ADX', 'CCI', 'WilliamsR'
+];
+
+// Constructor parameters per type with their defaults; also what the strategy
+// builder offers for editing
+export const INDICATOR_DEFAULTS = {
+  EMA: { period: 20 },
+  RSI: { period: 14, smoothing: 'wilder' },
+  ATR: { period: 14, smoothing: 'wilder' },
+  BollingerBands: { period: 20, stdDev: 2 },
+  VWAP: {},
+  MACD: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  Stochastic: { kPeriod: 14, dPeriod: 3, smoothing: 1 },
+  ADX: { period: 14 },
+  CCI: { period: 20, constant: 0.015 },
+  WilliamsR: { period: 14 }
+};
+
+export const createIndicator = (type, overrides = {}) => {
+  const params = { ...INDICATOR_DEFAULTS[type], ...overrides };
+  switch (type) {
+    case 'EMA':
+      return new EMA(params.period);
+    case 'RSI':
+      return new RSI(params.period, params.smoothing);
+    case 'ATR':
+      return new ATR(params.period, params.smoothing);
+    case 'BollingerBands':
+      return new BollingerBands(params.period, params.stdDev);
+    case 'VWAP':
+      return new VWAP();
+    case 'MACD':
+      return new MACD(params.fastPeriod, params.slowPeriod, params.signalPeriod);
+    case 'Stochastic':
+      return new Stochastic(params.kPeriod, params.dPeriod, params.smoothing);
+    case 'ADX':
+      return new ADX(params.period);
+    case 'CCI':
+      return new CCI(params.period, params.constant);
+    case 'WilliamsR':
+      return new WilliamsR(params.period);
+    default:
+      throw new Error(`Unknown indicator type: ${type}`);
+  }
+};
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { RSI, ATR, SMOOTHING_MODES } from './index.js';
+
+// Closes from Wilder's 14-period RSI worked example (as published by StockCharts)
+const CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+  46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25,
+  45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13
+];
+
+// [high, low, close]
+const CANDLES = [
+  [48.70, 47.79, 48.16], [48.72, 48.14, 48.61], [48.90, 48.39, 48.75], [48.87, 48.37, 48.63],
+  [48.82, 48.24, 48.74], [49.05, 48.64, 49.03], [49.20, 48.94, 49.07], [49.35, 48.86, 49.32],
+  [49.92, 49.50, 49.91], [50.19, 49.87, 50.13], [50.12, 49.20, 49.53], [49.66, 48.90, 49.50],
+  [49.88, 49.43, 49.75], [50.19, 49.73, 50.03], [50.36, 49.26, 50.31], [50.57, 50.09, 50.52],
+  [50.65, 50.30, 50.41]
+].map(([high, low, close]) => ({ high, low, close }));
+
+// Reference values computed independently from the textbook definitions
+// (averages seeded with the SMA of the first `period` values)
+const RSI_14 = {
+  sma: [
+    70.4641, 70.0210, 69.8312, 80.5677, 73.3333, 59.8063, 62.5282, 60.0000, 48.4778, 53.8784,
+    48.9524, 43.8628, 37.7329, 32.2635, 32.7181, 38.1426, 31.7483, 25.0996, 30.2177
+  ],
+  wilder: [
+    70.4641, 66.2496, 66.4809, 69.3469, 66.2947, 57.9150, 62.8807, 63.2088, 56.0116, 62.3399,
+    54.6710, 50.3868, 40.0194, 41.4926, 41.9024, 45.4995, 37.3228, 33.0905, 37.7888
+  ],
+  ema: [
+    70.4641, 62.5108, 63.0267, 69.2180, 63.1201, 48.1723, 59.1437, 59.8322, 47.3917, 60.4082,
+    48.0008, 41.6638, 28.3888, 31.2605, 32.0984, 39.5387, 27.9342, 22.8257, 31.7340
+  ]
+};
+
+const ATR_5 = {
+  sma: [0.516, 0.452, 0.448, 0.468, 0.416, 0.52, 0.62, 0.612, 0.584, 0.74, 0.65, 0.568],
+  wilder: [
+    0.516, 0.4648, 0.46984, 0.495872, 0.460698, 0.554558, 0.595646, 0.566517, 0.545214,
+    0.656171, 0.620937, 0.566749
+  ],
+  ema: [
+    0.516, 0.430667, 0.450444, 0.500296, 0.440198, 0.603465, 0.655643, 0.587096, 0.54473,
+    0.72982, 0.646547, 0.547698
+  ]
+};
+
+// Outputs once the indicator is ready
+const run = (indicator, inputs) => inputs
+  .map(input => indicator.update(input))
+  .filter(value => value !== null);
+
+const expectValues = (actual, expected, digits) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], digits));
+};
+
+// Feeds the first `split` inputs, restores a JSON copy of the snapshot into a
+// fresh indicator and checks both produce the same values for the rest
+const expectRoundTrip = (create, inputs, split) => {
+  const original = create();
+  inputs.slice(0, split).forEach(input => original.update(input));
+
+  const restored = create().restore(JSON.parse(JSON.stringify(original.serialize())));
+  expect(restored.getReadiness()).toEqual(original.getReadiness());
+  inputs.slice(split).forEach(input => {
+    expect(restored.update(input)).toBe(original.update(input));
+  });
+};
+
+describe('RSI', () => {
+  SMOOTHING_MODES.forEach(mode => {
+    it(`matches the reference vector with ${mode} smoothing`, () => {
+      expectValues(run(new RSI(14, mode), CLOSES), RSI_14[mode], 3);
+    });
+  });
+
+  it('defaults to Wilder smoothing', () => {
+    const rsi = new RSI(14);
+    expect(rsi.smoothing).toBe('wilder');
+    expectValues(run(rsi, CLOSES), RSI_14.wilder, 3);
+  });
+
+  it('is ready after period + 1 prices', () => {
+    const rsi = new RSI(14);
+    CLOSES.slice(0, 14).forEach(price => expect(rsi.update(price)).toBeNull());
+    expect(rsi.isReady()).toBe(false);
+    expect(rsi.update(CLOSES[14])).not.toBeNull();
+    expect(rsi.isReady()).toBe(true);
+  });
+
+  SMOOTHING_MODES.forEach(mode => {
+    it(`round-trips through serialize/restore with ${mode} smoothing`, () => {
+      // Mid warm-up and after it
+      expectRoundTrip(() => new RSI(14, mode), CLOSES, 7);
+      expectRoundTrip(() => new RSI(14, mode), CLOSES, 20);
+    });
+  });
+
+  it('refuses a snapshot taken with other parameters', () => {
+    const snapshot = new RSI(14, 'sma').serialize();
+    expect(() => new RSI(14, 'wilder').restore(snapshot)).toThrow(/smoothing mismatch/);
+    expect(() => new RSI(10, 'sma').restore(snapshot)).toThrow(/period mismatch/);
+    expect(() => new RSI(14).restore(new ATR(14).serialize())).toThrow(/Cannot restore RSI/);
+  });
+});
+
+describe('ATR', () => {
+  SMOOTHING_MODES.forEach(mode => {
+    it(`matches the reference vector with ${mode} smoothing`, () => {
+      expectValues(run(new ATR(5, mode), CANDLES), ATR_5[mode], 5);
+    });
+  });
+
+  it('defaults to Wilder smoothing', () => {
+    const atr = new ATR(5);
+    expect(atr.smoothing).toBe('wilder');
+    expectValues(run(atr, CANDLES), ATR_5.wilder, 5);
+  });
+
+  it('is ready after period + 1 candles', () => {
+    const atr = new ATR(5);
+    CANDLES.slice(0, 5).forEach(candle => expect(atr.update(candle)).toBeNull());
+    expect(atr.isReady()).toBe(false);
+    expect(atr.update(CANDLES[5])).not.toBeNull();
+    expect(atr.isReady()).toBe(true);
+  });
+
+  SMOOTHING_MODES.forEach(mode => {
+    it(`round-trips through serialize/restore with ${mode} smoothing`, () => {
+      expectRoundTrip(() => new ATR(5, mode), CANDLES, 3);
+      expectRoundTrip(() => new ATR(5, mode), CANDLES, 10);
+    });
+  });
+
+  it('refuses a snapshot taken with other parameters', () => {
+    const snapshot = new ATR(5, 'ema').serialize();
+    expect(() => new ATR(5, 'wilder').restore(snapshot)).toThrow(/smoothing mismatch/);
+    expect(() => new ATR(7, 'ema').restore(snapshot)).toThrow(/period mismatch/);
+  });
+});
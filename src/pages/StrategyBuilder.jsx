@@ -0,0 +1,705 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  Chip,
+  IconButton,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  ComposedChart,
+  Line,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { useAuth } from '../auth/AuthProvider';
+import { INDICATOR_TYPES, INDICATOR_DEFAULTS, SMOOTHING_MODES } from '../engine/indicators/index.js';
+import { compileRules, PRICE_FIELDS, INDICATOR_FIELDS } from '../engine/StrategyRules.js';
+import { strategyEngine, RuleStrategy, SandboxStrategy } from '../engine/StrategyEngine.js';
+import { sandboxClient } from '../engine/SandboxClient.js';
+import { getParamSchema, validateParams, formatParamErrors } from '../engine/StrategyParams.js';
+import { Backtester } from '../engine/Backtester.js';
+import { realtimeClient } from '../data/websocketClient.js';
+import StrategyParamsForm from '../components/StrategyParamsForm';
+
+const CONDITIONS = [
+  { op: 'crossesAbove', label: 'Crosses above', operands: 2 },
+  { op: 'crossesBelow', label: 'Crosses below', operands: 2 },
+  { op: 'gt', label: 'Greater than', operands: 2 },
+  { op: 'gte', label: 'At least', operands: 2 },
+  { op: 'lt', label: 'Less than', operands: 2 },
+  { op: 'lte', label: 'At most', operands: 2 },
+  { op: 'between', label: 'Between', operands: 3 }
+];
+
+const SIDES = ['long', 'short'];
+const DRAG_TYPE = 'application/x-strategy-condition';
+
+const symbols = ['EURUSD', 'GBPUSD', 'USDJPY', 'BTCUSD'];
+const timeframes = ['1s', '5s', '15s', '30s', '1m', '5m', '15m', '30m', '1h'];
+const higherTimeframes = ['5m', '15m', '1h', '4h'];
+
+const CODE_TEMPLATE = `// ctx: tick, candle, candles, ticks, params, state, indicator(name, type, params), indicators
+function evaluate(ctx) {
+  const fast = ctx.indicator('fast', 'EMA', { period: 9 }).update(ctx.tick.price);
+  const slow = ctx.indicator('slow', 'EMA', { period: 21 }).update(ctx.tick.price);
+  if (fast === null || slow === null) return null;
+
+  const side = fast > slow ? 'long' : 'short';
+  if (side === ctx.state.lastSide) return null;
+  ctx.state.lastSide = side;
+  return { side, confidence: 1, details: { fast, slow } };
+}
+`;
+
+let nextId = 1;
+const newId = () => nextId++;
+
+const referencesFor = (indicators) => [
+  ...PRICE_FIELDS,
+  ...indicators.flatMap(({ key, type }) => (
+    INDICATOR_FIELDS[type] ? INDICATOR_FIELDS[type].map(field => `${key}.${field}`) : [key]
+  ))
+];
+
+// Builder state -> the JSON rule format of StrategyRules.js
+const toRules = (indicators, conditions, confidence) => ({
+  indicators: Object.fromEntries(indicators.map(({ key, type, params, timeframe }) => [
+    key,
+    { type, ...params, ...(timeframe ? { timeframe } : {}) }
+  ])),
+  signals: SIDES
+    .filter(side => conditions[side].items.length > 0)
+    .map(side => ({
+      side,
+      when: {
+        [conditions[side].mode]: conditions[side].items.map(({ op, operands }) => ({
+          [op]: operands.map(operand => (operand.kind === 'value' ? Number(operand.value) : operand.ref))
+        }))
+      },
+      confidence: Number(confidence[side])
+    }))
+});
+
+const OperandInput = ({ operand, references, onChange }) => (
+  <Box sx={{ display: 'flex', gap: 1 }}>
+    <FormControl size="small" sx={{ minWidth: 140 }}>
+      <Select
+        value={operand.kind === 'value' ? '__value' : operand.ref}
+        onChange={(e) => onChange(e.target.value === '__value'
+          ? { kind: 'value', value: 0 }
+          : { kind: 'ref', ref: e.target.value })}
+      >
+        {references.map(reference => (
+          <MenuItem key={reference} value={reference}>{reference}</MenuItem>
+        ))}
+        <MenuItem value="__value"><em>Number…</em></MenuItem>
+      </Select>
+    </FormControl>
+    {operand.kind === 'value' && (
+      <TextField
+        size="small"
+        type="number"
+        value={operand.value}
+        onChange={(e) => onChange({ kind: 'value', value: e.target.value })}
+        sx={{ width: 110 }}
+      />
+    )}
+  </Box>
+);
+
+const StrategyBuilder = () => {
+  const { user } = useAuth();
+  const builtInStrategies = [...strategyEngine.strategies.keys()];
+  // 'rules' builds a rule strategy; 'builtIn' configures a registered strategy
+  // class; 'code' runs user code in the strategy sandbox
+  const [mode, setMode] = useState('rules');
+  const [builtInName, setBuiltInName] = useState(builtInStrategies[0]);
+  const [builtInParams, setBuiltInParams] = useState({});
+  const [ruleParams, setRuleParams] = useState({});
+  const [code, setCode] = useState(CODE_TEMPLATE);
+  const [codeParams, setCodeParams] = useState({});
+  const [name, setName] = useState('');
+  const [indicators, setIndicators] = useState([
+    { id: newId(), key: 'fast', type: 'EMA', params: { period: 9 }, timeframe: '' },
+    { id: newId(), key: 'slow', type: 'EMA', params: { period: 21 }, timeframe: '' }
+  ]);
+  const [conditions, setConditions] = useState({
+    long: { mode: 'all', items: [] },
+    short: { mode: 'all', items: [] }
+  });
+  const [confidence, setConfidence] = useState({ long: 1, short: 1 });
+  const [previewSymbol, setPreviewSymbol] = useState('EURUSD');
+  const [previewTimeframe, setPreviewTimeframe] = useState('1m');
+  const [lookbackHours, setLookbackHours] = useState(6);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const references = useMemo(() => referencesFor(indicators), [indicators]);
+  const rules = useMemo(() => toRules(indicators, conditions, confidence), [indicators, conditions, confidence]);
+  const rulesError = useMemo(() => {
+    try {
+      compileRules(rules);
+      return null;
+    } catch (compileError) {
+      return compileError.message;
+    }
+  }, [rules]);
+
+  const strategyName = mode === 'builtIn' ? builtInName : name.trim();
+  const strategyCode = mode === 'code' ? code : null;
+  const params = useMemo(() => {
+    if (mode === 'rules') return { ...ruleParams, rules };
+    return mode === 'code' ? codeParams : builtInParams;
+  }, [mode, ruleParams, rules, codeParams, builtInParams]);
+  const StrategyClass = {
+    rules: RuleStrategy,
+    code: SandboxStrategy
+  }[mode] || strategyEngine.strategies.get(builtInName);
+  const validation = useMemo(() => validateParams(StrategyClass, params), [StrategyClass, params]);
+  const paramsError = validation.valid ? null : formatParamErrors(validation.errors);
+
+  // Indicators
+
+  const addIndicator = () => {
+    const key = `ind${indicators.length + 1}`;
+    setIndicators([...indicators, { id: newId(), key, type: 'EMA', params: { ...INDICATOR_DEFAULTS.EMA }, timeframe: '' }]);
+  };
+
+  const updateIndicator = (id, changes) => {
+    setIndicators(indicators.map(indicator => (indicator.id === id ? { ...indicator, ...changes } : indicator)));
+  };
+
+  const removeIndicator = (id) => {
+    setIndicators(indicators.filter(indicator => indicator.id !== id));
+  };
+
+  const updateParam = (indicator, param, value) => {
+    const numeric = typeof INDICATOR_DEFAULTS[indicator.type][param] === 'number';
+    updateIndicator(indicator.id, {
+      params: { ...indicator.params, [param]: numeric ? Number(value) : value }
+    });
+  };
+
+  // Conditions (dragged from the palette, or moved between long and short)
+
+  const createCondition = (op) => {
+    const { operands } = CONDITIONS.find(condition => condition.op === op);
+    const defaults = [
+      { kind: 'ref', ref: 'price' },
+      references.length > PRICE_FIELDS.length
+        ? { kind: 'ref', ref: references[PRICE_FIELDS.length] }
+        : { kind: 'value', value: 0 },
+      { kind: 'value', value: 0 }
+    ];
+    return { id: newId(), op, operands: defaults.slice(0, operands) };
+  };
+
+  const updateSide = (side, update) => {
+    setConditions(current => ({ ...current, [side]: update(current[side]) }));
+  };
+
+  const handleDrop = (side, e) => {
+    e.preventDefault();
+    const payload = e.dataTransfer.getData(DRAG_TYPE);
+    if (!payload) return;
+
+    const { op, from, id } = JSON.parse(payload);
+    if (op) {
+      updateSide(side, group => ({ ...group, items: [...group.items, createCondition(op)] }));
+      return;
+    }
+    if (from === side) return;
+
+    setConditions(current => {
+      const moved = current[from].items.find(item => item.id === id);
+      if (!moved) return current;
+      return {
+        ...current,
+        [from]: { ...current[from], items: current[from].items.filter(item => item.id !== id) },
+        [side]: { ...current[side], items: [...current[side].items, moved] }
+      };
+    });
+  };
+
+  const updateOperand = (side, conditionId, index, operand) => {
+    updateSide(side, group => ({
+      ...group,
+      items: group.items.map(item => (item.id === conditionId
+        ? { ...item, operands: item.operands.map((current, i) => (i === index ? operand : current)) }
+        : item))
+    }));
+  };
+
+  const removeCondition = (side, conditionId) => {
+    updateSide(side, group => ({ ...group, items: group.items.filter(item => item.id !== conditionId) }));
+  };
+
+  // Preview: backtest the rules over recent ticks without touching the database
+
+  const runPreview = async () => {
+    try {
+      setPreviewing(true);
+      setError('');
+
+      const backtester = new Backtester({ mode: 'binary', timeframe: previewTimeframe, expiry: previewTimeframe });
+      const to = Date.now();
+      let ticks = await backtester.loadTicks({
+        symbol: previewSymbol,
+        from: to - lookbackHours * 3600000,
+        to
+      });
+      if (!ticks || ticks.length === 0) {
+        ticks = realtimeClient.getTickBuffer(previewSymbol);
+      }
+      if (ticks.length === 0) {
+        throw new Error(`No recent ticks for ${previewSymbol}`);
+      }
+
+      // Code strategies report errors instead of throwing; show the first one
+      let codeError = null;
+      const unsubscribe = sandboxClient.onError(report => {
+        codeError = codeError || report.error;
+      });
+      let result;
+      try {
+        result = await backtester.run({
+          ticks,
+          strategies: [{ name: strategyName || 'Preview', params, code: strategyCode }]
+        });
+      } finally {
+        unsubscribe();
+      }
+      if (codeError) setError(`Strategy code failed: ${codeError}`);
+
+      const points = result.candles.map(candle => ({
+        time: candle.ts_close.getTime(),
+        label: candle.ts_close.toLocaleTimeString(),
+        close: candle.close
+      }));
+      result.signals.forEach(signal => {
+        const ts = signal.ts.getTime();
+        const point = points.find(candidate => candidate.time >= ts) || points[points.length - 1];
+        if (point) point[signal.side] = signal.price;
+      });
+
+      setPreview({ points, signals: result.signals.length, stats: result.stats });
+    } catch (previewError) {
+      setError(previewError.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const saveStrategy = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await strategyEngine.createStrategy(strategyName, params, user.id, strategyCode);
+      setSuccess(`Saved strategy ${strategyName}`);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ flexGrow: 1, p: 3 }}>
+      <Typography variant="h4" gutterBottom>
+        Strategy Builder
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 2 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={mode}
+            onChange={(e, value) => value && setMode(value)}
+          >
+            <ToggleButton value="rules">Rule Builder</ToggleButton>
+            <ToggleButton value="builtIn">Built-in Strategy</ToggleButton>
+            <ToggleButton value="code">Code</ToggleButton>
+          </ToggleButtonGroup>
+
+          {mode !== 'builtIn' ? (
+            <TextField
+              label="Strategy name"
+              size="small"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              sx={{ minWidth: 300 }}
+            />
+          ) : (
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Strategy</InputLabel>
+              <Select
+                value={builtInName}
+                label="Strategy"
+                onChange={(e) => {
+                  setBuiltInName(e.target.value);
+                  setBuiltInParams({});
+                }}
+              >
+                {builtInStrategies.map(strategy => (
+                  <MenuItem key={strategy} value={strategy}>{strategy}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+        </Box>
+
+        {mode === 'rules' ? (
+          <StrategyParamsForm
+            schema={getParamSchema(RuleStrategy)}
+            params={ruleParams}
+            errors={validation.errors}
+            onChange={setRuleParams}
+            exclude={['rules']}
+          />
+        ) : mode === 'code' ? (
+          <StrategyParamsForm
+            schema={getParamSchema(SandboxStrategy)}
+            params={codeParams}
+            errors={validation.errors}
+            onChange={setCodeParams}
+          />
+        ) : (
+          <StrategyParamsForm
+            key={builtInName}
+            schema={getParamSchema(StrategyClass)}
+            params={builtInParams}
+            errors={validation.errors}
+            onChange={setBuiltInParams}
+          />
+        )}
+        {paramsError && !(mode === 'rules' && rulesError) && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {paramsError}
+          </Alert>
+        )}
+      </Paper>
+
+      {mode === 'code' && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Code
+          </Typography>
+          <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+            Declare evaluate(ctx) returning null or {'{ side, confidence, details }'}, and optionally init(ctx).
+            The code runs in a sandboxed worker with {'ctx.params'} set to the inputs above.
+          </Typography>
+          <TextField
+            multiline
+            fullWidth
+            minRows={16}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputProps={{ spellCheck: false, style: { fontFamily: 'monospace', fontSize: 13 } }}
+          />
+        </Paper>
+      )}
+
+      {mode === 'rules' && (
+        <>
+          {/* Indicators */}
+          <Paper sx={{ p: 2, mb: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">Indicators</Typography>
+              <Button variant="outlined" size="small" onClick={addIndicator}>
+                Add Indicator
+              </Button>
+            </Box>
+
+            {indicators.map(indicator => (
+              <Box key={indicator.id} sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', mb: 1.5 }}>
+                <TextField
+                  label="Key"
+                  size="small"
+                  value={indicator.key}
+                  onChange={(e) => updateIndicator(indicator.id, { key: e.target.value })}
+                  sx={{ width: 110 }}
+                />
+                <FormControl size="small" sx={{ minWidth: 150 }}>
+                  <InputLabel>Type</InputLabel>
+                  <Select
+                    value={indicator.type}
+                    label="Type"
+                    onChange={(e) => updateIndicator(indicator.id, {
+                      type: e.target.value,
+                      params: { ...INDICATOR_DEFAULTS[e.target.value] }
+                    })}
+                  >
+                    {INDICATOR_TYPES.map(type => (
+                      <MenuItem key={type} value={type}>{type}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {Object.keys(INDICATOR_DEFAULTS[indicator.type]).map(param => (
+                  typeof INDICATOR_DEFAULTS[indicator.type][param] === 'number' ? (
+                    <TextField
+                      key={param}
+                      label={param}
+                      size="small"
+                      type="number"
+                      value={indicator.params[param] ?? ''}
+                      onChange={(e) => updateParam(indicator, param, e.target.value)}
+                      sx={{ width: 110 }}
+                    />
+                  ) : (
+                    <FormControl key={param} size="small" sx={{ minWidth: 110 }}>
+                      <InputLabel>{param}</InputLabel>
+                      <Select
+                        value={indicator.params[param]}
+                        label={param}
+                        onChange={(e) => updateParam(indicator, param, e.target.value)}
+                      >
+                        {SMOOTHING_MODES.map(mode => (
+                          <MenuItem key={mode} value={mode}>{mode}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  )
+                ))}
+                <FormControl size="small" sx={{ minWidth: 120 }}>
+                  <InputLabel>Timeframe</InputLabel>
+                  <Select
+                    value={indicator.timeframe}
+                    label="Timeframe"
+                    onChange={(e) => updateIndicator(indicator.id, { timeframe: e.target.value })}
+                  >
+                    <MenuItem value="">Strategy</MenuItem>
+                    {higherTimeframes.map(tf => (
+                      <MenuItem key={tf} value={tf}>{tf}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <Button size="small" color="error" onClick={() => removeIndicator(indicator.id)}>
+                  Remove
+                </Button>
+              </Box>
+            ))}
+          </Paper>
+
+          {/* Conditions */}
+          <Paper sx={{ p: 2, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Conditions
+            </Typography>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+              Drag a condition into the long or short box; drag existing conditions between boxes to move them.
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              {CONDITIONS.map(({ op, label }) => (
+                <Chip
+                  key={op}
+                  label={label}
+                  variant="outlined"
+                  draggable
+                  onDragStart={(e) => e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ op }))}
+                  sx={{ cursor: 'grab' }}
+                />
+              ))}
+            </Box>
+
+            <Grid container spacing={2}>
+              {SIDES.map(side => (
+                <Grid item xs={12} md={6} key={side}>
+                  <Box
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={(e) => handleDrop(side, e)}
+                    sx={{
+                      border: '1px dashed',
+                      borderColor: side === 'long' ? 'success.main' : 'error.main',
+                      borderRadius: 1,
+                      p: 2,
+                      minHeight: 160
+                    }}
+                  >
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                      <Typography variant="subtitle1">
+                        {side === 'long' ? 'Long when' : 'Short when'}
+                      </Typography>
+                      <ToggleButtonGroup
+                        size="small"
+                        exclusive
+                        value={conditions[side].mode}
+                        onChange={(e, mode) => mode && updateSide(side, group => ({ ...group, mode }))}
+                      >
+                        <ToggleButton value="all">All</ToggleButton>
+                        <ToggleButton value="any">Any</ToggleButton>
+                      </ToggleButtonGroup>
+                    </Box>
+
+                    {conditions[side].items.map(item => (
+                      <Box
+                        key={item.id}
+                        draggable
+                        onDragStart={(e) => e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ from: side, id: item.id }))}
+                        sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center', mb: 1, cursor: 'grab' }}
+                      >
+                        <OperandInput
+                          operand={item.operands[0]}
+                          references={references}
+                          onChange={(operand) => updateOperand(side, item.id, 0, operand)}
+                        />
+                        <Typography variant="body2">
+                          {CONDITIONS.find(condition => condition.op === item.op).label.toLowerCase()}
+                        </Typography>
+                        {item.operands.slice(1).map((operand, index) => (
+                          <OperandInput
+                            key={index}
+                            operand={operand}
+                            references={references}
+                            onChange={(changed) => updateOperand(side, item.id, index + 1, changed)}
+                          />
+                        ))}
+                        <IconButton size="small" onClick={() => removeCondition(side, item.id)}>
+                          ×
+                        </IconButton>
+                      </Box>
+                    ))}
+
+                    <TextField
+                      label="Confidence (0-1)"
+                      size="small"
+                      type="number"
+                      value={confidence[side]}
+                      onChange={(e) => setConfidence({ ...confidence, [side]: e.target.value })}
+                      inputProps={{ min: 0, max: 1, step: 0.05 }}
+                      sx={{ mt: 1, width: 160 }}
+                    />
+                  </Box>
+                </Grid>
+              ))}
+            </Grid>
+
+            {rulesError && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                {rulesError}
+              </Alert>
+            )}
+          </Paper>
+        </>
+      )}
+
+      {/* Preview */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Symbol</InputLabel>
+              <Select
+                value={previewSymbol}
+                label="Symbol"
+                onChange={(e) => setPreviewSymbol(e.target.value)}
+              >
+                {symbols.map(symbol => (
+                  <MenuItem key={symbol} value={symbol}>{symbol}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Timeframe</InputLabel>
+              <Select
+                value={previewTimeframe}
+                label="Timeframe"
+                onChange={(e) => setPreviewTimeframe(e.target.value)}
+              >
+                {timeframes.map(tf => (
+                  <MenuItem key={tf} value={tf}>{tf}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Lookback</InputLabel>
+              <Select
+                value={lookbackHours}
+                label="Lookback"
+                onChange={(e) => setLookbackHours(e.target.value)}
+              >
+                {[1, 6, 24].map(hours => (
+                  <MenuItem key={hours} value={hours}>{hours}h</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item>
+            <Button variant="outlined" onClick={runPreview} disabled={Boolean(paramsError) || previewing}>
+              {previewing ? <CircularProgress size={20} /> : 'Preview Signals'}
+            </Button>
+          </Grid>
+          <Grid item>
+            <Button
+              variant="contained"
+              onClick={saveStrategy}
+              disabled={Boolean(paramsError) || !strategyName || saving || !user}
+            >
+              {saving ? <CircularProgress size={20} /> : 'Save Strategy'}
+            </Button>
+          </Grid>
+        </Grid>
+
+        {preview && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {preview.signals} signals over {preview.points.length} candles
+              {preview.stats.totalContracts > 0 && ` · win rate ${(preview.stats.winRate * 100).toFixed(1)}%`}
+            </Typography>
+            <Box sx={{ height: 360 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={preview.points}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis domain={['auto', 'auto']} />
+                  <Tooltip />
+                  <Legend />
+                  <Line type="monotone" dataKey="close" stroke="#1976d2" strokeWidth={2} dot={false} />
+                  <Scatter dataKey="long" fill="#4caf50" name="Long" />
+                  <Scatter dataKey="short" fill="#f44336" name="Short" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </Box>
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default StrategyBuilder;
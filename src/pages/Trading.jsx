@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useRef } from 'react';
 import {
   Box,
   Grid,
@@ -19,12 +19,18 @@ import {
 } from '@mui/material';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { useAuth } from '../auth/AuthProvider';
+import { useTradingStore } from '../store/tradingStore';
+import { strategyEngine } from '../engine/StrategyEngine';
+import { liveRunner } from '../engine/LiveRunner';
+import { realtimeClient } from '../data/websocketClient';
+
+const CHART_POINTS = 50;
+const CHART_SAMPLE_MS = 1000;
 
 const Trading = () => {
   const { user, profile } = useAuth();
   const [selectedSymbol, setSelectedSymbol] = useState('EURUSD');
   const [selectedTimeframe, setSelectedTimeframe] = useState('1m');
-  const [isLiveTrading, setLiveTrading] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [latency, setLatency] = useState(0);
   const [chartData, setChartData] = useState([]);
@@ -32,91 +38,81 @@ const Trading = () => {
   const [loading, setLoading] = useState(true);
   const [strategies, setStrategies] = useState([]);
   const [activeStrategies, setActiveStrategies] = useState(new Set());
-  const [signals, setSignals] = useState([]);
-  const [currentPrice, setCurrentPrice] = useState(1.0850);
+  const [currentPrice, setCurrentPrice] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const lastPointTime = useRef(0);
 
-  // Mock metrics
-  const [metrics] = useState({
-    totalTrades: 0,
-    winRate: 0,
-    totalPnL: 0,
-    avgTimingError: 0
-  });
+  // The runner writes signals, metrics and the live flag to the store
+  const isLiveTrading = useTradingStore(state => state.isLiveTrading);
+  const signals = useTradingStore(state => state.signals);
+  const metrics = useTradingStore(state => state.metrics);
 
   // Initialize component
   useEffect(() => {
     const initializeTrading = async () => {
       try {
         setLoading(true);
-        
-        // Simulate WebSocket connection
-        setTimeout(() => {
-          setConnectionStatus('connected');
-          setLatency(Math.floor(Math.random() * 50) + 10);
-        }, 1000);
+        setConnectionStatus('connecting');
 
-        // Load mock strategies
-        const mockStrategies = [
-          { id: 1, name: 'Moving Average Cross', active: true },
-          { id: 2, name: 'RSI Oversold/Overbought', active: false },
-          { id: 3, name: 'Bollinger Bands', active: false }
-        ];
-        setStrategies(mockStrategies);
+        await realtimeClient.connect();
+        setConnectionStatus('connected');
 
-        // Generate mock chart data
-        const mockData = [];
-        const basePrice = 1.0850;
-        for (let i = 0; i < 50; i++) {
-          const price = basePrice + (Math.random() - 0.5) * 0.01;
-          mockData.push({
-            time: Date.now() - (50 - i) * 60000,
-            price: price,
-            timestamp: new Date(Date.now() - (50 - i) * 60000).toLocaleTimeString()
-          });
+        // Active strategies saved by this user
+        if (user) {
+          const loaded = await strategyEngine.loadUserStrategies(user.id);
+          setStrategies(loaded);
+          setActiveStrategies(new Set(loaded.map(strategy => strategy.id)));
         }
-        setChartData(mockData);
-
       } catch (error) {
         console.error('Error initializing trading:', error);
         setError('Failed to initialize trading interface');
+        setConnectionStatus(realtimeClient.isConnected ? 'connected' : 'disconnected');
       } finally {
         setLoading(false);
       }
     };
 
     initializeTrading();
-  }, []);
+    return () => liveRunner.stop();
+  }, [user]);
 
-  // Simulate real-time price updates
+  // Strategy failures while live, e.g. sandboxed code that throws or times out
+  useEffect(() => liveRunner.onEvent(event => {
+    if (event.type !== 'error') return;
+    setError(`${event.strategy ? `${event.strategy}: ` : ''}${event.error.message}`);
+  }), []);
+
+  // Real-time price updates for the selected symbol; the chart keeps one
+  // point per second
   useEffect(() => {
-    if (connectionStatus === 'connected') {
-      const interval = setInterval(() => {
-        const newPrice = currentPrice + (Math.random() - 0.5) * 0.0001;
-        setCurrentPrice(newPrice);
-        
-        // Update chart data
-        setChartData(prev => {
-          const newData = [...prev, {
-            time: Date.now(),
-            price: newPrice,
-            timestamp: new Date().toLocaleTimeString()
-          }];
-          
-          // Keep only last 50 points
-          if (newData.length > 50) {
-            newData.shift();
-          }
-          
-          return newData;
-        });
+    if (connectionStatus !== 'connected') return undefined;
 
-        // Update latency
-        setLatency(Math.floor(Math.random() * 50) + 10);
-      }, 2000);
+    const toPoint = tick => ({
+      time: tick.ts.getTime(),
+      price: tick.price,
+      timestamp: tick.ts.toLocaleTimeString()
+    });
 
-      return () => clearInterval(interval);
-    }
-  }, [connectionStatus, currentPrice]);
+    const history = [];
+    realtimeClient.getTickBuffer(selectedSymbol).forEach(tick => {
+      const last = history[history.length - 1];
+      if (!last || tick.ts.getTime() - last.time >= CHART_SAMPLE_MS) history.push(toPoint(tick));
+    });
+    setChartData(history.slice(-CHART_POINTS));
+    lastPointTime.current = history.length > 0 ? history[history.length - 1].time : 0;
+
+    const latest = realtimeClient.getLatestTick(selectedSymbol);
+    setCurrentPrice(latest ? latest.price : null);
+
+    return realtimeClient.subscribe(selectedSymbol, (tick) => {
+      setCurrentPrice(tick.price);
+      setLatency(Math.max(0, realtimeClient.getServerTime().getTime() - tick.ts.getTime()));
+
+      if (tick.ts.getTime() - lastPointTime.current < CHART_SAMPLE_MS) return;
+      lastPointTime.current = tick.ts.getTime();
+      setChartData(prev => [...prev, toPoint(tick)].slice(-CHART_POINTS));
+    });
+  }, [connectionStatus, selectedSymbol]);
 
   // Toggle strategy
   const toggleStrategy = (strategyId) => {
@@ -132,21 +128,30 @@ const Trading = () => {
   };
 
   // Toggle live trading
-  const handleToggleLiveTrading = () => {
-    if (!isLiveTrading) {
-      setLiveTrading(true);
-      // Simulate some signals
-      setTimeout(() => {
-        setSignals(prev => [...prev, {
-          id: Date.now(),
-          side: 'long',
-          strategy: 'Moving Average Cross',
-          confidence: 0.85,
-          timestamp: new Date()
-        }]);
-      }, 5000);
-    } else {
-      setLiveTrading(false);
+  const handleToggleLiveTrading = async () => {
+    if (isLiveTrading) {
+      liveRunner.stop();
+      return;
+    }
+
+    const selected = strategies.filter(strategy => activeStrategies.has(strategy.id));
+    if (selected.length === 0) {
+      setError('Enable at least one strategy before starting live trading');
+      return;
+    }
+
+    try {
+      setStarting(true);
+      await liveRunner.start({
+        symbols: [selectedSymbol],
+        timeframe: selectedTimeframe,
+        strategies: selected
+      });
+    } catch (error) {
+      console.error('Error starting live trading:', error);
+      setError(`Failed to start live trading: ${error.message}`);
+    } finally {
+      setStarting(false);
     }
   };
 
@@ -185,6 +190,7 @@ const Trading = () => {
               <Select
                 value={selectedSymbol}
                 label="Symbol"
+                disabled={isLiveTrading}
                 onChange={(e) => setSelectedSymbol(e.target.value)}
               >
                 {symbols.map(symbol => (
@@ -200,6 +206,7 @@ const Trading = () => {
               <Select
                 value={selectedTimeframe}
                 label="Timeframe"
+                disabled={isLiveTrading}
                 onChange={(e) => setSelectedTimeframe(e.target.value)}
               >
                 {timeframes.map(tf => (
@@ -225,7 +232,7 @@ const Trading = () => {
 
           <Grid item>
             <Typography variant="body2">
-              Price: {currentPrice.toFixed(5)}
+              Price: {currentPrice !== null ? currentPrice.toFixed(5) : '-'}
             </Typography>
           </Grid>
 
@@ -235,7 +242,7 @@ const Trading = () => {
                 <Switch
                   checked={isLiveTrading}
                   onChange={handleToggleLiveTrading}
-                  disabled={connectionStatus !== 'connected'}
+                  disabled={connectionStatus !== 'connected' || starting}
                 />
               }
               label="Live Trading"
@@ -276,11 +283,17 @@ const Trading = () => {
             <Typography variant="h6" gutterBottom>
               Strategies
             </Typography>
+            {strategies.length === 0 && (
+              <Typography variant="body2" color="textSecondary">
+                No active strategies. Create one on the Strategies page.
+              </Typography>
+            )}
             {strategies.map(strategy => (
               <Box key={strategy.id} sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
                 <Switch
                   checked={activeStrategies.has(strategy.id)}
                   onChange={() => toggleStrategy(strategy.id)}
+                  disabled={isLiveTrading}
                   size="small"
                 />
                 <Typography variant="body2" sx={{ ml: 1 }}>
@@ -331,7 +344,7 @@ const Trading = () => {
                 </Typography>
               ) : (
                 signals.slice(-5).reverse().map((signal, index) => (
-                  <Box key={signal.id || index} sx={{ mb: 1, p: 1, bgcolor: 'grey.50', borderRadius: 1 }}>
+                  <Box key={signal.clientId || signal.id || index} sx={{ mb: 1, p: 1, bgcolor: 'grey.50', borderRadius: 1 }}>
                     <Typography variant="body2">
                       <Chip 
                         label={signal.side} 
@@ -339,7 +352,7 @@ const Trading = () => {
                         color={signal.side === 'long' ? 'success' : 'error'}
                         sx={{ mr: 1 }}
                       />
-                      {signal.strategy} - {(signal.confidence * 100).toFixed(1)}%
+                      {signal.strategy} {signal.symbol} - {(signal.confidence * 100).toFixed(1)}%
                     </Typography>
                     <Typography variant="caption" color="textSecondary">
                       {signal.timestamp?.toLocaleTimeString()}
@@ -73,6 +73,19 @@ export const useTradingStore = create(
       
       return { candles: newCandles };
     }),
+
+    // Replaces a stored candle with its revision (same open time), e.g. after a late tick
+    reviseCandle: (candle) => set((state) => {
+      const key = `${candle.symbol}_${candle.frame}`;
+      const symbolCandles = state.candles.get(key) || [];
+      const index = symbolCandles.findIndex(stored => stored.ts_open.getTime() === candle.ts_open.getTime());
+      if (index === -1) return {};
+
+      const newCandles = new Map(state.candles);
+      newCandles.set(key, symbolCandles.map((stored, i) => (i === index ? candle : stored)));
+
+      return { candles: newCandles };
+    }),
     
     setConnectionStatus: (status) => set({ connectionStatus: status }),
     setLatency: (latency) => set({ latency }),
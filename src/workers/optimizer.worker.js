@@ -0,0 +1,38 @@
+// Web Worker for parameter optimisation backtests
+import { BacktestJobRunner } from '../engine/BacktestJobRunner.js';
+
+// Worker instance
+const runner = new BacktestJobRunner();
+
+// Message handler
+self.onmessage = async function(e) {
+  const { type, data, id } = e.data;
+
+  try {
+    let result;
+
+    switch (type) {
+      case 'loadDataset':
+        result = runner.loadDataset(data.datasetId, data.ticks);
+        break;
+      case 'backtest':
+        result = await runner.runBacktest(data);
+        break;
+      case 'dropDataset':
+        result = runner.dropDataset(data.datasetId);
+        break;
+      case 'cleanup':
+        result = runner.cleanup();
+        break;
+      default:
+        result = { success: false, error: `Unknown message type: ${type}` };
+    }
+
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      result: { success: false, error: error.message }
+    });
+  }
+};
@@ -0,0 +1,100 @@
+// Web Worker for user strategy code
+import { SandboxHost, dispatchSandboxMessage } from '../engine/StrategySandbox.js';
+import * as indicatorLibrary from '../engine/indicators/index.js';
+
+// Everything that could reach outside the worker (network, storage, timers,
+// other workers, messaging) or compile new code. Removed from the global
+// scope and its prototypes before any strategy code is loaded; the host keeps
+// its own references to postMessage and the Function constructor.
+const BLOCKED_GLOBALS = [
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+  'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker',
+  'setTimeout', 'setInterval', 'queueMicrotask', 'requestAnimationFrame',
+  'postMessage', 'close', 'onmessage', 'addEventListener', 'removeEventListener',
+  'eval', 'Function'
+];
+
+const lockDown = (scope) => {
+  BLOCKED_GLOBALS.forEach(name => {
+    for (let target = scope; target; target = Object.getPrototypeOf(target)) {
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        try {
+          delete target[name];
+        } catch (error) {
+          console.warn(`Strategy sandbox could not remove ${name}:`, error.message);
+        }
+      }
+    }
+  });
+
+  // (() => {}).constructor and friends would otherwise hand the Function
+  // constructor back
+  [function () {}, async function () {}, function* () {}, async function* () {}].forEach(fn => {
+    Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: undefined });
+  });
+
+  // Shared intrinsics are frozen so one strategy cannot patch them for the
+  // others (indicators keep their buffers in Float64Arrays)
+  const TypedArray = Object.getPrototypeOf(Float64Array);
+  [
+    Object, Array, String, Number, Boolean, Symbol, BigInt, Math, JSON, Reflect, Date, RegExp,
+    Map, Set, WeakMap, WeakSet, Promise, ArrayBuffer, TypedArray, Float64Array,
+    Error, TypeError, RangeError, SyntaxError, ReferenceError
+  ].forEach(intrinsic => {
+    Object.freeze(intrinsic);
+    if (intrinsic.prototype) Object.freeze(intrinsic.prototype);
+  });
+  Object.freeze(Object.getPrototypeOf(function () {}));
+  Object.values(indicatorLibrary)
+    .filter(value => typeof value === 'function' && value.prototype)
+    .forEach(Indicator => {
+      Object.freeze(Indicator);
+      Object.freeze(Indicator.prototype);
+    });
+
+  // What is left of the global scope can be read but not replaced or added
+  // to, so strategy code cannot swap JSON, performance, Object and the like
+  // for the host or for the other strategies. Accessors with a setter (e.g.
+  // the replaceable `performance`) become read-only values.
+  for (let target = scope; target; target = Object.getPrototypeOf(target)) {
+    Object.getOwnPropertyNames(target).forEach(name => {
+      const descriptor = Object.getOwnPropertyDescriptor(target, name);
+      const isData = 'value' in descriptor;
+      if (!descriptor.configurable && !(isData && descriptor.writable)) return;
+      try {
+        if (isData) {
+          Object.defineProperty(target, name, { writable: false, configurable: false });
+        } else if (descriptor.set) {
+          const value = descriptor.get ? descriptor.get.call(scope) : undefined;
+          Object.defineProperty(target, name, { value, writable: false, configurable: false });
+        } else {
+          Object.defineProperty(target, name, { configurable: false });
+        }
+      } catch (error) {
+        console.warn(`Strategy sandbox could not lock ${name}:`, error.message);
+      }
+    });
+  }
+  Object.preventExtensions(scope);
+  Object.freeze(performance);
+};
+
+const host = new SandboxHost();
+const post = self.postMessage.bind(self);
+
+// Message handler
+self.addEventListener('message', (e) => {
+  const { type, data, id } = e.data;
+
+  try {
+    const result = dispatchSandboxMessage(host, type, data);
+    post({ id, result });
+  } catch (error) {
+    post({
+      id,
+      result: { success: false, error: error.message }
+    });
+  }
+});
+
+lockDown(self);
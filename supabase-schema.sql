@@ -13,6 +13,7 @@ create table public.strategies (
   owner uuid references public.user_profiles(id) on delete set null,
   name text not null,
   params jsonb not null default '{}',
+  code text, -- source of a sandboxed user-code strategy; null for built-in and rule strategies
   active boolean default true,
   created_at timestamptz default now()
 );
@@ -49,7 +50,8 @@ create table public.signals (
   ts timestamptz not null,
   side text check (side in ('long','short')),
   confidence numeric,
-  details jsonb
+  details jsonb,
+  client_id uuid unique
 );
 create index on public.signals(strategy_id, ts);
 
@@ -62,7 +64,8 @@ create table public.orders (
   qty numeric not null,
   price_limit numeric,
   status text not null default 'submitted' check (status in ('submitted','ack','rejected','filled','cancelled')),
-  meta jsonb
+  meta jsonb,
+  client_id uuid unique
 );
 
 create table public.trades (
@@ -71,7 +74,8 @@ create table public.trades (
   symbol text not null,
   ts_fill timestamptz not null,
   price numeric not null,
-  qty numeric not null
+  qty numeric not null,
+  client_id uuid unique
 );
 
 -- RLS Policies